@@ -0,0 +1,143 @@
+/**
+ * Bounded caches for flight searches and emissions:
+ * every cache evicts its least recently used entries above maxEntries and expires entries after
+ * its own TTL. With CACHE_BACKEND=file each cache is also saved as a JSON file in CACHE_DIR, so
+ * warm data survives a restart. A file holds the live entries only and stays below CACHE_FILE_MAX_MB.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// delay before a changed cache is written to disk, so a burst of writes is saved once
+const SAVE_DELAY_MS = 1000;
+
+// create an LRU cache with a TTL
+// name: used for the file name on disk; maxEntries: size limit; ttlMs: time to live of an entry
+function createCache({ name, maxEntries, ttlMs }) {
+  // Map keeps insertion order, so the first key is always the least recently used one
+  const entries = new Map();
+  const filePath = config.cacheBackend === 'file' ? path.join(config.cacheDir, `${name}.json`) : null;
+  let saveTimer = null;
+  let saving = false;
+  // set when the cache changes during a save, so another save follows it
+  let changedWhileSaving = false;
+
+  const isExpired = (entry) => Date.now() - entry.timestamp >= ttlMs;
+
+  // write the live entries to disk without blocking requests, dropping the least recently used
+  // ones when the file would grow above its size limit
+  const save = async () => {
+    saving = true;
+    try {
+      const serialisedEntries = Array.from(entries.entries())
+        .filter(([, entry]) => !isExpired(entry))
+        .map(entry => JSON.stringify(entry));
+      // brackets and commas of the JSON array
+      let fileBytes = 2 + Math.max(0, serialisedEntries.length - 1);
+      serialisedEntries.forEach(serialised => { fileBytes += Buffer.byteLength(serialised); });
+      while (serialisedEntries.length > 0 && fileBytes > config.cacheFileMaxBytes) {
+        fileBytes -= Buffer.byteLength(serialisedEntries.shift()) + 1;
+      }
+
+      await fs.promises.mkdir(config.cacheDir, { recursive: true });
+      // write to a temporary file first so a crash never leaves a half-written cache
+      await fs.promises.writeFile(`${filePath}.tmp`, `[${serialisedEntries.join(',')}]`);
+      await fs.promises.rename(`${filePath}.tmp`, filePath);
+    } catch (error) {
+      console.error(`Failed to save ${name} cache:`, error.message);
+    } finally {
+      saving = false;
+      if (changedWhileSaving) {
+        changedWhileSaving = false;
+        scheduleSave();
+      }
+    }
+  };
+
+  // save after a short delay, and only once at a time
+  const scheduleSave = () => {
+    if (!filePath || saveTimer) return;
+    if (saving) {
+      changedWhileSaving = true;
+      return;
+    }
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save();
+    }, SAVE_DELAY_MS);
+    // a pending save must not keep the process alive on shutdown
+    saveTimer.unref();
+  };
+
+  // get a value, or undefined if missing or expired
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (isExpired(entry)) {
+      // remove expired cache
+      entries.delete(key);
+      scheduleSave();
+      return undefined;
+    }
+    // move to the end to mark as most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  // store a value and evict the least recently used entries above the size limit
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, timestamp: Date.now() });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    scheduleSave();
+  };
+
+  // load warm data from disk, skipping anything that expired while the server was down
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      JSON.parse(fs.readFileSync(filePath, 'utf8'))
+        .filter(([, entry]) => !isExpired(entry))
+        .slice(-maxEntries)
+        .forEach(([key, entry]) => entries.set(key, entry));
+      console.log(`Loaded ${entries.size} entries into ${name} cache`);
+    } catch (error) {
+      console.error(`Failed to load ${name} cache:`, error.message);
+    }
+  }
+
+  return { get, set, size: () => entries.size };
+}
+
+// warnings of a search response that come from a failure rather than from the data itself
+const FAILURE_WARNINGS = ['NO_EMISSIONS_DATA', 'EMISSIONS_SERVICE_ERROR'];
+
+// if a flight search response may be cached: not after a provider failed or was skipped, so the
+// preferred provider is asked again, nor when Google had no data or did not answer
+// estimated emissions alone do not stop caching, since a codeshare without a known operating
+// flight is always estimated
+function isCacheableSearch({ providersTried, warnings }) {
+  return providersTried.every(attempt => attempt.code === null) &&
+    !warnings.some(warning => FAILURE_WARNINGS.includes(warning.code));
+}
+
+// flight search responses, which go stale quickly because prices and seats change
+const flightSearchCache = createCache({ name: 'flight-searches', ...config.cache.flightSearches });
+// typical emissions of a route (origin-destination)
+const typicalEmissionsCache = createCache({ name: 'typical-emissions', ...config.cache.typicalEmissions });
+// Travel Impact Model emissions of one flight, keyed by flight number and date
+const flightEmissionsCache = createCache({ name: 'flight-emissions', ...config.cache.flightEmissions });
+// airports of a city code or within a radius of an airport, which rarely change
+const airportLocationCache = createCache({ name: 'airport-locations', ...config.cache.airportLocations });
+
+module.exports = {
+  createCache,
+  isCacheableSearch,
+  flightSearchCache,
+  typicalEmissionsCache,
+  flightEmissionsCache,
+  airportLocationCache,
+};
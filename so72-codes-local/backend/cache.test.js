@@ -0,0 +1,119 @@
+// tests of the bounded caches: expiry, least recently used eviction, the file backend and the cache-skip rule
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config is read when it is first required, so the file backend is set up before that
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+process.env.CACHE_BACKEND = 'file';
+process.env.CACHE_DIR = cacheDir;
+process.env.CACHE_FILE_MAX_MB = String(1 / 1024);
+
+const { createCache, isCacheableSearch } = require('./cache');
+
+// wait for a scheduled save of a file cache
+const waitForSave = () => new Promise(resolve => setTimeout(resolve, 1500));
+
+afterEach(() => mock.restoreAll());
+
+test('returns a stored value until its TTL has passed', () => {
+  let now = 1000000;
+  mock.method(Date, 'now', () => now);
+  const cache = createCache({ name: 'ttl', maxEntries: 10, ttlMs: 60000 });
+
+  cache.set('FRA-OSL', { economy: 98412 });
+  now += 59999;
+  assert.deepEqual(cache.get('FRA-OSL'), { economy: 98412 });
+  now += 1;
+  assert.equal(cache.get('FRA-OSL'), undefined);
+  assert.equal(cache.size(), 0);
+});
+
+test('evicts the least recently used entry above maxEntries', () => {
+  const cache = createCache({ name: 'eviction', maxEntries: 2, ttlMs: 60000 });
+
+  cache.set('a', 1);
+  cache.set('b', 2);
+  // reading a marks it as recently used, so b is evicted instead
+  cache.get('a');
+  cache.set('c', 3);
+
+  assert.equal(cache.size(), 2);
+  assert.equal(cache.get('a'), 1);
+  assert.equal(cache.get('b'), undefined);
+  assert.equal(cache.get('c'), 3);
+});
+
+test('saves live entries to disk and loads them into a new cache', async () => {
+  let now = 1000000;
+  mock.method(Date, 'now', () => now);
+  const cache = createCache({ name: 'restart', maxEntries: 10, ttlMs: 60000 });
+  cache.set('old', 1);
+  now += 30000;
+  cache.set('new', 2);
+  now += 30000;
+  // old has expired by the time of the save, so it is not written
+  await waitForSave();
+
+  const saved = JSON.parse(fs.readFileSync(path.join(cacheDir, 'restart.json'), 'utf8'));
+  assert.deepEqual(saved.map(([key]) => key), ['new']);
+  const restarted = createCache({ name: 'restart', maxEntries: 10, ttlMs: 60000 });
+  assert.equal(restarted.get('new'), 2);
+  assert.equal(restarted.size(), 1);
+});
+
+test('keeps the cache file within CACHE_FILE_MAX_MB by leaving out the least recently used entries', async () => {
+  const cache = createCache({ name: 'bounded', maxEntries: 100, ttlMs: 60000 });
+  for (let i = 0; i < 50; i++) cache.set(`key${i}`, 'x'.repeat(50));
+  await waitForSave();
+
+  const filePath = path.join(cacheDir, 'bounded.json');
+  assert.ok(fs.statSync(filePath).size <= 1024);
+  const savedKeys = JSON.parse(fs.readFileSync(filePath, 'utf8')).map(([key]) => key);
+  assert.ok(savedKeys.length > 0 && savedKeys.length < 50);
+  assert.equal(savedKeys.at(-1), 'key49');
+  // every cached entry is still served from memory
+  assert.equal(cache.size(), 50);
+});
+
+test('saves changes made during a save in a later save', async () => {
+  const cache = createCache({ name: 'overlap', maxEntries: 10, ttlMs: 60000 });
+  const writeFile = fs.promises.writeFile;
+  let writes = 0;
+  mock.method(fs.promises, 'writeFile', async (...args) => {
+    writes += 1;
+    // a change while the first file is written must not start a second save alongside it
+    if (writes === 1) cache.set('second', 2);
+    return writeFile(...args);
+  });
+
+  cache.set('first', 1);
+  await waitForSave();
+  assert.equal(writes, 1);
+  await waitForSave();
+
+  assert.equal(writes, 2);
+  const saved = JSON.parse(fs.readFileSync(path.join(cacheDir, 'overlap.json'), 'utf8'));
+  assert.deepEqual(saved.map(([key]) => key), ['first', 'second']);
+});
+
+// a search response answered by the first provider, with the given warning codes
+const createResponse = (...warningCodes) => ({
+  providersTried: [{ provider: 'amadeus', code: null }],
+  warnings: warningCodes.map(code => ({ code, message: code }))
+});
+
+test('caches searches with complete or estimated emissions', () => {
+  assert.equal(isCacheableSearch(createResponse()), true);
+  assert.equal(isCacheableSearch(createResponse('ESTIMATED_EMISSIONS')), true);
+});
+
+test('does not cache searches after a provider failed or Google had no data or did not answer', () => {
+  assert.equal(isCacheableSearch({ ...createResponse(), providersTried: [{ provider: 'amadeus', code: 'TIMEOUT' }, { provider: 'duffel', code: null }] }), false);
+  assert.equal(isCacheableSearch(createResponse('NO_EMISSIONS_DATA')), false);
+  assert.equal(isCacheableSearch(createResponse('EMISSIONS_SERVICE_ERROR', 'ESTIMATED_EMISSIONS')), false);
+});
+
+test.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
@@ -0,0 +1,86 @@
+/**
+ * Record-and-replay of upstream API traffic:
+ * with CASSETTE_MODE=record every Amadeus, Duffel and Google Travel Impact Model response is
+ * saved as a "cassette" file, and with CASSETTE_MODE=replay identical requests are answered from
+ * those files instead of the network. Failed calls are recorded too, so provider fallbacks replay
+ * the same way. This allows reproducing a reported search exactly without spending API quota.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+// cassette file for a request, e.g. cassettes/tim-flights/<sha1 of request>.json
+function getCassettePath(service, request) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(request)).digest('hex');
+  return path.join(config.cassetteDir, service, `${hash}.json`);
+}
+
+// keep what the rest of the server reads from an error: its message, code and the upstream response
+function serialiseError(error) {
+  return {
+    message: error.message,
+    code: error.code ?? null,
+    // Duffel errors carry their HTTP status outside of a response object
+    status: error.status ?? error.meta?.status ?? null,
+    response: error.response ? { status: error.response.status ?? error.response.statusCode ?? null, data: error.response.data ?? null } : null
+  };
+}
+
+// rebuild a recorded error so that it is thrown exactly like the original one
+function deserialiseError(recordedError) {
+  const error = new Error(recordedError.message);
+  if (recordedError.code) error.code = recordedError.code;
+  if (recordedError.status) error.status = recordedError.status;
+  if (recordedError.response) error.response = recordedError.response;
+  return error;
+}
+
+// run an upstream call through the cassette layer
+// service: name of the upstream endpoint; request: everything that identifies the request
+// call: function that makes the real call and resolves with JSON-serialisable response data
+async function withCassette(service, request, call) {
+  const cassettePath = getCassettePath(service, request);
+
+  if (config.cassetteMode === 'replay') {
+    let cassette;
+    try {
+      cassette = JSON.parse(await fs.readFile(cassettePath, 'utf8'));
+    } catch {
+      throw new Error(`No cassette recorded for ${service} request ${JSON.stringify(request)}`);
+    }
+    console.log(`Replaying ${service} response from ${cassettePath}`);
+    if (cassette.error) throw deserialiseError(cassette.error);
+    return cassette.response;
+  }
+
+  if (config.cassetteMode !== 'record') return call();
+
+  // record both successful and failed responses
+  const cassette = { service, request, recordedAt: new Date().toISOString() };
+  let result, failure;
+  try {
+    result = await call();
+    cassette.response = result;
+  } catch (error) {
+    failure = error;
+    cassette.error = serialiseError(error);
+  }
+
+  try {
+    await fs.mkdir(path.dirname(cassettePath), { recursive: true });
+    await fs.writeFile(cassettePath, JSON.stringify(cassette, null, 2));
+    console.log(`Recorded ${service} response to ${cassettePath}`);
+  } catch (writeError) {
+    // recording must never break the search itself
+    console.error(`Failed to record ${service} cassette:`, writeError.message);
+  }
+
+  if (failure) throw failure;
+  return result;
+}
+
+module.exports = {
+  withCassette,
+};
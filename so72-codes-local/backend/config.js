@@ -0,0 +1,90 @@
+/**
+ * VisCO2Fly Backend Configuration:
+ * reads the environment variables that control how the backend behaves, so that
+ * the rest of the server does not have to read process.env directly.
+ */
+
+const path = require('path');
+
+// split a comma-separated environment variable into a clean lowercase list
+function parseList(value, fallback) {
+  return (value || fallback)
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// read a positive number from an environment variable
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return number > 0 ? number : fallback;
+}
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// serve flights, airports and emissions from the local fixtures instead of the external APIs
+const fixtureMode = process.env.FIXTURE_MODE === 'true';
+
+module.exports = {
+  // environment variable for port, otherwise to 2800 for development
+  port: process.env.PORT || 2800,
+  // flight data providers in the order they are tried, e.g. FLIGHT_PROVIDERS=duffel,amadeus
+  // a provider that is left out of the list is disabled
+  // fixture mode always uses the fixture provider only
+  flightProviders: fixtureMode ? ['fixture'] : parseList(process.env.FLIGHT_PROVIDERS, 'amadeus,duffel'),
+  fixtureMode,
+  // record-and-replay of upstream API traffic: 'off' (default), 'record' or 'replay'
+  cassetteMode: (process.env.CASSETTE_MODE || 'off').toLowerCase(),
+  // directory where recorded responses are stored
+  cassetteDir: process.env.CASSETTE_DIR || path.join(__dirname, 'cassettes'),
+  // max num of different flight searches that run at the same time, the rest wait in a queue
+  searchConcurrency: Math.max(1, parseInt(process.env.SEARCH_CONCURRENCY) || 4),
+  // cache storage: 'memory' (default) or 'file' to keep warm data across restarts
+  cacheBackend: (process.env.CACHE_BACKEND || 'memory').toLowerCase(),
+  // directory for the file cache backend
+  cacheDir: process.env.CACHE_DIR || path.join(__dirname, 'cache'),
+  // size limit of each cache file, the least recently used entries are left out above it
+  cacheFileMaxBytes: parseNumber(process.env.CACHE_FILE_MAX_MB, 50) * 1024 * 1024,
+  // size limit and time to live of each cache
+  cache: {
+    flightSearches: {
+      maxEntries: parseNumber(process.env.FLIGHT_SEARCH_CACHE_SIZE, 200),
+      ttlMs: parseNumber(process.env.FLIGHT_SEARCH_CACHE_TTL_MINUTES, 10) * MINUTE_MS,
+    },
+    typicalEmissions: {
+      maxEntries: parseNumber(process.env.TYPICAL_EMISSIONS_CACHE_SIZE, 2000),
+      ttlMs: parseNumber(process.env.TYPICAL_EMISSIONS_CACHE_TTL_DAYS, 7) * DAY_MS,
+    },
+    flightEmissions: {
+      maxEntries: parseNumber(process.env.FLIGHT_EMISSIONS_CACHE_SIZE, 50000),
+      ttlMs: parseNumber(process.env.FLIGHT_EMISSIONS_CACHE_TTL_DAYS, 30) * DAY_MS,
+    },
+    airportLocations: {
+      maxEntries: parseNumber(process.env.AIRPORT_LOCATION_CACHE_SIZE, 1000),
+      ttlMs: parseNumber(process.env.AIRPORT_LOCATION_CACHE_TTL_DAYS, 30) * DAY_MS,
+    },
+  },
+  // Google Travel Impact Model API key
+  googleApiKey: process.env.GOOGLE_API_KEY,
+  // timeouts, retries and circuit breakers around upstream calls
+  resilience: {
+    timeoutsMs: {
+      amadeus: parseNumber(process.env.AMADEUS_TIMEOUT_MS, 10000),
+      duffel: parseNumber(process.env.DUFFEL_TIMEOUT_MS, 15000),
+      tim: parseNumber(process.env.TIM_TIMEOUT_MS, 5000),
+      // European Central Bank exchange rates, only called by `node exchangeRates.js --refresh`
+      ecb: parseNumber(process.env.ECB_TIMEOUT_MS, 10000),
+    },
+    // retries after the first attempt, only for transient errors such as network errors, 429 and 5xx (not timeouts)
+    retries: process.env.UPSTREAM_RETRIES ? Math.max(0, parseInt(process.env.UPSTREAM_RETRIES) || 0) : 2,
+    retryBaseDelayMs: parseNumber(process.env.UPSTREAM_RETRY_DELAY_MS, 200),
+    // consecutive failed calls that open a circuit, and how long it stays open
+    circuitFailureThreshold: parseNumber(process.env.CIRCUIT_FAILURE_THRESHOLD, 5),
+    circuitResetMs: parseNumber(process.env.CIRCUIT_RESET_SECONDS, 60) * 1000,
+  },
+  // rail and coach journeys up to this many hours are shown as alternatives to flying
+  groundTransportMaxHours: parseNumber(process.env.GROUND_TRANSPORT_MAX_HOURS, 10),
+  // max num of flights sent to the Travel Impact Model API in one request
+  timBatchSize: Math.floor(parseNumber(process.env.TIM_BATCH_SIZE, 100)),
+};
@@ -0,0 +1,345 @@
+/**
+ * CO2 emissions pipeline:
+ * Google Travel Impact Model API is used to calculate
+ * 1. the typical CO2 emission for a given route
+ * 2. the CO2 emission of each journey
+ * Flights that Google has no data for are estimated locally (see emissionsEstimate.js) and flagged.
+ * Works on the normalised offer model only, so it does not depend on the flight provider.
+ */
+
+// Google Travel Impact Model API client
+const travelImpactModel = require('./travelImpactModel');
+// fallback estimate from distance, aircraft type and cabin class
+const { ESTIMATE_MODEL_VERSION, estimateSegmentEmissions } = require('./emissionsEstimate');
+// long-lived caches, since emissions of a route or flight rarely change
+const { typicalEmissionsCache, flightEmissionsCache } = require('./cache');
+const config = require('./config');
+
+// version of the cached emissions entries, raised whenever their shape changes so older entries are not read
+// v2: { emissionsGramsPerPax, modelVersion } for routes and { emissionsGramsPerPax, source, modelVersion } for flights
+const EMISSIONS_CACHE_VERSION = 'v2';
+
+// fetch typical CO2 emissions for a given route as { emissionsGramsPerPax, modelVersion }, or null if not available
+// modelVersion is the version of Google's model that calculated them, e.g. { major, minor, patch, dated }
+async function computeTypicalEmissions(origin, destination) {
+  const cacheKey = `${EMISSIONS_CACHE_VERSION}:${origin}-${destination}`;
+  const cached = typicalEmissionsCache.get(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const typicalResponse = await travelImpactModel.computeTypicalFlightEmissions([{
+      origin: origin,
+      destination: destination
+    }]);
+
+    // extract typical emissions data if available
+    const emissionsGramsPerPax = typicalResponse?.typicalFlightEmissions?.[0]?.emissionsGramsPerPax;
+    if (!emissionsGramsPerPax) return null;
+    const typicalEmissions = { emissionsGramsPerPax, modelVersion: typicalResponse.modelVersion || null };
+    typicalEmissionsCache.set(cacheKey, typicalEmissions);
+    return typicalEmissions;
+  } catch (typicalError) {
+    // log error
+    const errorMessage = typicalError.response?.data || typicalError.message || 'Unknown error occurred';
+    console.error("Typical Emissions API Error:", errorMessage);
+    return null;
+  }
+}
+
+// typical CO2 emissions of a trip: the sum over all legs of the cabin classes every leg has
+// data for, or null if a leg has no data
+// returns { total, byLeg, provenance } where byLeg holds the typical emissions of each leg in order
+// and provenance tells how the total was calculated (see getProvenance)
+async function computeTypicalEmissionsForLegs(legs) {
+  const typicalByLeg = await Promise.all(legs.map(leg => computeTypicalEmissions(leg.locationDeparture, leg.locationArrival)));
+  const byLeg = typicalByLeg.map(typical => typical?.emissionsGramsPerPax || null);
+  if (byLeg.some(emissions => !emissions)) return { total: null, byLeg, provenance: null };
+  const cabins = Object.keys(byLeg[0]).filter(cabin => byLeg.every(emissions => typeof emissions[cabin] === 'number'));
+  const total = Object.fromEntries(cabins.map(cabin => [cabin, byLeg.reduce((sum, emissions) => sum + emissions[cabin], 0)]));
+  return { total, byLeg, provenance: getProvenance(typicalByLeg.map(typical => ({ source: 'TIM_TYPICAL', modelVersion: typical.modelVersion }))) };
+}
+
+// transform a normalised flight segment into Google Travel Impact Model API format
+// in this case a segment means one leg of the journey
+// Google knows flights by their operating carrier and number, so codeshares are looked up by the
+// flight that actually flies; a codeshare whose operating flight number is unknown gets null
+function toEmissionsFlight(segment) {
+  const flight = segment.operating;
+  if (!flight?.number) return null;
+  const departureAt = new Date(segment.departure.at);
+  return {
+    // departure airport code
+    origin: segment.departure.iataCode,
+    // arrival airport code
+    destination: segment.arrival.iataCode,
+    // airline code
+    operatingCarrierCode: flight.carrierCode,
+    // flight number
+    flightNumber: parseInt(flight.number),
+    departureDate: {
+      year: departureAt.getFullYear(),
+      // since no 0 month, we add 1 here
+      month: departureAt.getMonth() + 1,
+      day: departureAt.getDate()
+    }
+  };
+}
+
+// cache key of one flight, e.g. LH860:FRA-OSL:2025-9-1
+// also used on the flight Google echoes with each answer, where the flight number may be a string
+function getFlightCacheKey(flight) {
+  const { year, month, day } = flight.departureDate;
+  return `${flight.operatingCarrierCode}${parseInt(flight.flightNumber)}:${flight.origin}-${flight.destination}:${year}-${month}-${day}`;
+}
+
+// split a list into chunks of at most the given size
+function chunk(list, size) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+  return chunks;
+}
+
+// emissions of each unique flight as { emissionsByFlight, failedBatches }, where emissionsByFlight is
+// a Map from flight cache key to { emissionsGramsPerPax, source, modelVersion }, or null where Google
+// has no data, and failedBatches the num of batches Google did not answer
+// source is Google's data source for the flight, e.g. TIM_EMISSIONS (modelled) or EASA (EASA label)
+// flights already in the cache are not requested again, and the rest are sent in batches
+// onBatch (optional): called with the Map so far once the cached flights and then each batch are known
+async function getFlightEmissions(flights, onBatch) {
+  const emissionsByFlight = new Map();
+  const missingFlights = new Map();
+  let failedBatches = 0;
+
+  flights.forEach(flight => {
+    const key = getFlightCacheKey(flight);
+    if (emissionsByFlight.has(key) || missingFlights.has(key)) return;
+    const cached = flightEmissionsCache.get(`${EMISSIONS_CACHE_VERSION}:${key}`);
+    if (cached) emissionsByFlight.set(key, cached);
+    else missingFlights.set(key, flight);
+  });
+
+  const batches = chunk(Array.from(missingFlights.entries()), config.timBatchSize);
+  if (batches.length > 0) {
+    console.log(`Requesting emissions for ${missingFlights.size} unique flights in ${batches.length} batch(es), ${emissionsByFlight.size} cached`);
+    if (onBatch && emissionsByFlight.size > 0) onBatch(emissionsByFlight);
+  }
+
+  // call Google Travel Impact Model API to calculate CO2 emissions
+  // , which will provide emissions data for different cabin classes
+  await Promise.all(batches.map(async (batch) => {
+    try {
+      const googleResponse = await travelImpactModel.computeFlightEmissions(batch.map(([, flight]) => flight));
+      const requestedKeys = new Set(batch.map(([key]) => key));
+      // each answer is matched to its request by the flight Google echoes, so a missing or
+      // reordered answer cannot shift the emissions onto other flights
+      (googleResponse.flightEmissions || []).forEach(flightEmission => {
+        const key = flightEmission.flight?.departureDate && getFlightCacheKey(flightEmission.flight);
+        if (requestedKeys.has(key) && flightEmission.emissionsGramsPerPax) {
+          const flightEmissions = {
+            emissionsGramsPerPax: flightEmission.emissionsGramsPerPax,
+            // Google leaves the source out for its own model
+            source: flightEmission.source || 'TIM_EMISSIONS',
+            modelVersion: googleResponse.modelVersion || null
+          };
+          emissionsByFlight.set(key, flightEmissions);
+          flightEmissionsCache.set(`${EMISSIONS_CACHE_VERSION}:${key}`, flightEmissions);
+        }
+      });
+    } catch (googleError) {
+      // show Google API errors, the flights of this batch are left without emissions
+      const errorMessage = googleError.response?.data || googleError.message || 'Unknown Google API error occurred';
+      console.error(`Google API Error for a batch of ${batch.length} flights:`, errorMessage);
+      failedBatches++;
+    }
+    // flights without data are kept as null
+    batch.forEach(([key]) => {
+      if (!emissionsByFlight.has(key)) emissionsByFlight.set(key, null);
+    });
+    if (onBatch) onBatch(emissionsByFlight);
+  }));
+
+  return { emissionsByFlight, failedBatches };
+}
+
+// how emissions were calculated, so results can be compared with those of another day
+// parts: [{ source, modelVersion }] of each segment or leg, where source is TIM_EMISSIONS, EASA,
+// TIM_TYPICAL, LOCAL_ESTIMATE or UNAVAILABLE
+// returns { sources, timModelVersion, estimateModelVersion } with the version of Google's model
+// and of the local estimate, or null where they were not used
+function getProvenance(parts) {
+  const sources = [...new Set(parts.map(part => part.source))];
+  const estimated = parts.find(part => part.source === 'LOCAL_ESTIMATE');
+  const fromGoogle = parts.find(part => part.source !== 'LOCAL_ESTIMATE' && part.modelVersion);
+  return {
+    sources,
+    timModelVersion: fromGoogle ? fromGoogle.modelVersion : null,
+    estimateModelVersion: estimated ? estimated.modelVersion : null
+  };
+}
+
+// sum the emissions of all segments of an itinerary
+function summariseEmissions(segmentEmissions) {
+  // initialise for each cabin class
+  const totalEmissions = { economy: 0, premiumEconomy: 0, business: 0, first: 0 };
+  const availableCabinsFromGoogle = new Set();
+  let isDataComplete = true;
+
+  // sum up emissions from all flight segments
+  segmentEmissions.forEach(emissionsGramsPerPax => {
+    if (emissionsGramsPerPax) {
+      Object.keys(totalEmissions).forEach(key => {
+        const emissionValue = emissionsGramsPerPax[key];
+        if (typeof emissionValue === 'number' && emissionValue > 0) {
+          // sum emissions across segments
+          totalEmissions[key] += emissionValue;
+          availableCabinsFromGoogle.add(key.replace('premiumEconomy', 'premium_economy').toUpperCase());
+        }
+      });
+    } else {
+      // mark as incomplete if any segment does not have CO2 emissions data
+      isDataComplete = false;
+    }
+  });
+
+  return {
+    // filter out cabin classes that have zero emissions
+    emissionsData: Object.fromEntries(Object.entries(totalEmissions).filter(([, val]) => val > 0)),
+    availableCabins: Array.from(availableCabinsFromGoogle),
+    completeness: isDataComplete
+  };
+}
+
+// grams CO2 per passenger-km by cabin class, or an empty object if the distance is unknown
+function getEmissionsIntensity(emissionsGramsPerPax, distanceKm) {
+  if (!distanceKm) return {};
+  return Object.fromEntries(Object.entries(emissionsGramsPerPax)
+    .map(([cabin, grams]) => [cabin, Math.round(grams / distanceKm * 10) / 10]));
+}
+
+// attach CO2 emissions to every offer and to each of its itineraries (legs), mutating the offers in place
+// onOffersUpdated (optional): called with the offers whose emissions are attached, as soon as all
+// of their flights are known, e.g. after each Travel Impact Model batch
+// resolves with { failedBatches }: the num of Travel Impact Model batches that failed, whose flights
+// are estimated locally
+async function attachFlightEmissions(offers, onOffersUpdated) {
+  // flight segments of every itinerary of every offer in Google Travel Impact Model API format
+  const offerFlights = offers.map(offer =>
+    offer.itineraries.map(itinerary => itinerary.segments.map(toEmissionsFlight))
+  );
+  // offers whose emissions are already attached
+  const attachedOffers = new Set();
+
+  // map the emissions back onto each offer whose flights are all known
+  const attachKnownEmissions = (emissionsByFlight) => {
+    const updatedOffers = [];
+    offers.forEach((offer, index) => {
+      if (attachedOffers.has(offer)) return;
+      if (!offerFlights[index].flat().every(flight => !flight || emissionsByFlight.has(getFlightCacheKey(flight)))) return;
+
+      // emissions of each segment of each leg, estimated locally where Google has no data
+      const legSegmentEmissions = offer.itineraries.map((itinerary, itineraryIndex) =>
+        itinerary.segments.map((segment, segmentIndex) => {
+          const flight = offerFlights[index][itineraryIndex][segmentIndex];
+          const fromGoogle = flight && emissionsByFlight.get(getFlightCacheKey(flight));
+          if (fromGoogle) return { ...fromGoogle, estimated: false };
+          const estimate = estimateSegmentEmissions(segment);
+          return estimate
+            ? { emissionsGramsPerPax: estimate, source: 'LOCAL_ESTIMATE', modelVersion: ESTIMATE_MODEL_VERSION, estimated: true }
+            : { emissionsGramsPerPax: null, source: 'UNAVAILABLE', modelVersion: null, estimated: false };
+        })
+      );
+
+      // emissions of each leg, e.g. the outbound and the return flight
+      offer.itineraries.forEach((itinerary, itineraryIndex) => {
+        const segmentEmissions = legSegmentEmissions[itineraryIndex];
+        // emissions of each segment are kept, so a long positioning flight shows up in the breakdown
+        itinerary.segments.forEach((segment, segmentIndex) => {
+          segment.emissionsGramsPerPax = summariseEmissions([segmentEmissions[segmentIndex].emissionsGramsPerPax]).emissionsData;
+          segment.emissionsEstimated = segmentEmissions[segmentIndex].estimated;
+          segment.emissionsSource = segmentEmissions[segmentIndex].source;
+        });
+        const legEmissions = summariseEmissions(segmentEmissions.map(segment => segment.emissionsGramsPerPax));
+        itinerary.emissionsGramsPerPax = legEmissions.emissionsData;
+        itinerary.emissionsCompleteness = legEmissions.completeness;
+        itinerary.emissionsEstimated = segmentEmissions.some(segment => segment.estimated);
+      });
+
+      // emissions of the whole trip
+      const { emissionsData, availableCabins, completeness } = summariseEmissions(
+        legSegmentEmissions.flat().map(segment => segment.emissionsGramsPerPax)
+      );
+      // CO2 emissions per passenger by cabin class
+      offer.emissionsGramsPerPax = emissionsData;
+      // list of cabin classes with emissions data
+      offer.availableCabinClasses = availableCabins;
+      // if all segments have complete data
+      offer.emissionsCompleteness = completeness;
+      // if any segment uses the local estimate instead of Google's data
+      offer.emissionsEstimated = offer.itineraries.some(itinerary => itinerary.emissionsEstimated);
+      // data sources and model versions behind the emissions
+      offer.emissionsProvenance = getProvenance(legSegmentEmissions.flat());
+      // CO2 intensity per passenger-km, from the distance attached by geo.attachDistances
+      offer.emissionsGramsPerPaxKm = getEmissionsIntensity(emissionsData, offer.distanceKm);
+
+      attachedOffers.add(offer);
+      updatedOffers.push(offer);
+    });
+    if (onOffersUpdated && updatedOffers.length > 0) onOffersUpdated(updatedOffers);
+  };
+
+  // fetch CO2 emissions once for every unique flight across all offers
+  // codeshares without a known operating flight are left out and estimated locally
+  const { emissionsByFlight, failedBatches } = await getFlightEmissions(offerFlights.flat(2).filter(Boolean), attachKnownEmissions);
+  // offers whose flights were all cached, when no batch was needed
+  attachKnownEmissions(emissionsByFlight);
+  return { failedBatches };
+}
+
+// emission fields of an offer and its itineraries, sent while a search streams (see /date/stream)
+function toEmissionsUpdate(offer) {
+  return {
+    id: offer.id,
+    emissionsGramsPerPax: offer.emissionsGramsPerPax,
+    availableCabinClasses: offer.availableCabinClasses,
+    emissionsCompleteness: offer.emissionsCompleteness,
+    emissionsGramsPerPaxKm: offer.emissionsGramsPerPaxKm,
+    emissionsEstimated: offer.emissionsEstimated,
+    emissionsProvenance: offer.emissionsProvenance,
+    itineraries: offer.itineraries.map(({ emissionsGramsPerPax, emissionsCompleteness, emissionsEstimated, segments }) => ({
+      emissionsGramsPerPax,
+      emissionsCompleteness,
+      emissionsEstimated,
+      segments: segments.map(segment => ({
+        emissionsGramsPerPax: segment.emissionsGramsPerPax,
+        emissionsEstimated: segment.emissionsEstimated,
+        emissionsSource: segment.emissionsSource
+      }))
+    }))
+  };
+}
+
+// non-fatal problems with the emissions of a search's offers, e.g. no emissions for any offer
+// because Google had no data, Google not answering (failedBatches > 0, see attachFlightEmissions),
+// or estimated emissions for some of them
+function getEmissionsWarnings(offers, failedBatches = 0) {
+  const warnings = [];
+  if (offers.length > 0 && offers.every(offer => Object.keys(offer.emissionsGramsPerPax).length === 0)) {
+    warnings.push({ code: 'NO_EMISSIONS_DATA', message: 'No CO2 emissions data is available for these flights.' });
+  }
+  if (failedBatches > 0) {
+    warnings.push({ code: 'EMISSIONS_SERVICE_ERROR', message: 'Google\'s CO2 service did not answer for some flights, so their CO2 is estimated.' });
+  }
+  if (offers.some(offer => offer.emissionsEstimated)) {
+    warnings.push({ code: 'ESTIMATED_EMISSIONS', message: 'Google has no CO2 data for some flights, so their CO2 is estimated from distance and aircraft type.' });
+  }
+  return warnings;
+}
+
+module.exports = {
+  computeTypicalEmissions,
+  computeTypicalEmissionsForLegs,
+  attachFlightEmissions,
+  toEmissionsUpdate,
+  getEmissionsWarnings,
+  getEmissionsIntensity,
+};
@@ -0,0 +1,125 @@
+// tests of the flight emissions pipeline: Travel Impact Model batching, matching answers to flights, warnings and intensity
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// config is read when it is first required, so small batches are set up before that
+process.env.TIM_BATCH_SIZE = '2';
+
+const travelImpactModel = require('./travelImpactModel');
+const { attachFlightEmissions, getEmissionsWarnings, getEmissionsIntensity } = require('./emissions');
+
+// a one-way offer of the given operating flights, e.g. ['LH860', 'SK4712'], departing on the given date
+// every test uses its own date, since the emissions of a flight stay in the cache between tests
+function createOffer(flightNumbers, date) {
+  return {
+    itineraries: [{
+      segments: flightNumbers.map(flightNumber => ({
+        departure: { iataCode: 'FRA', at: `${date}T09:00:00` },
+        arrival: { iataCode: 'OSL', at: `${date}T11:00:00` },
+        distanceKm: 1141,
+        operating: { carrierCode: flightNumber.slice(0, 2), number: flightNumber.slice(2) }
+      }))
+    }]
+  };
+}
+
+// economy emissions in g that the stub below reports for a flight
+const gramsOf = flightNumber => flightNumber * 10;
+
+// a Travel Impact Model answer for a flight of the request, echoing it as Google does
+const answerFor = flight => ({
+  flight,
+  emissionsGramsPerPax: { economy: gramsOf(flight.flightNumber), business: 3 * gramsOf(flight.flightNumber) }
+});
+
+afterEach(() => mock.restoreAll());
+
+test('requests each unique flight once, in batches of TIM_BATCH_SIZE', async () => {
+  const computeFlightEmissions = mock.method(travelImpactModel, 'computeFlightEmissions',
+    async flights => ({ flightEmissions: flights.map(answerFor) }));
+  const offers = [createOffer(['LH860', 'SK4712'], '2030-01-01'), createOffer(['LH860', 'LH862'], '2030-01-01')];
+
+  const { failedBatches } = await attachFlightEmissions(offers);
+
+  assert.equal(failedBatches, 0);
+  const batches = computeFlightEmissions.mock.calls.map(call => call.arguments[0].map(flight => flight.flightNumber));
+  assert.deepEqual(batches.map(batch => batch.length), [2, 1]);
+  assert.deepEqual(batches.flat().sort((a, b) => a - b), [860, 862, 4712]);
+  assert.equal(offers[1].emissionsGramsPerPax.economy, gramsOf(860) + gramsOf(862));
+  assert.equal(offers[1].emissionsEstimated, false);
+});
+
+test('does not request flights again whose emissions are cached', async () => {
+  const computeFlightEmissions = mock.method(travelImpactModel, 'computeFlightEmissions',
+    async flights => ({ flightEmissions: flights.map(answerFor) }));
+
+  await attachFlightEmissions([createOffer(['LH860'], '2030-01-02')]);
+  const offer = createOffer(['LH860'], '2030-01-02');
+  await attachFlightEmissions([offer]);
+
+  assert.equal(computeFlightEmissions.mock.callCount(), 1);
+  assert.equal(offer.emissionsGramsPerPax.economy, gramsOf(860));
+});
+
+test('matches answers to flights by the echoed flight, not by their position', async () => {
+  // answers in reverse order, with the flight number as a string, and none for the first flight
+  mock.method(travelImpactModel, 'computeFlightEmissions', async flights => ({
+    flightEmissions: flights.slice(1).reverse()
+      .map(flight => answerFor(flight))
+      .map(answer => ({ ...answer, flight: { ...answer.flight, flightNumber: String(answer.flight.flightNumber) } }))
+  }));
+  const offers = [createOffer(['LH860'], '2030-01-03'), createOffer(['SK4712'], '2030-01-03')];
+
+  await attachFlightEmissions(offers);
+
+  assert.equal(offers[1].emissionsGramsPerPax.economy, gramsOf(4712));
+  assert.equal(offers[1].emissionsProvenance.sources[0], 'TIM_EMISSIONS');
+  // no answer for LH860, so it must not get the emissions of the flight answered first
+  assert.notEqual(offers[0].itineraries[0].segments[0].emissionsSource, 'TIM_EMISSIONS');
+});
+
+test('ignores answers for flights that were not requested', async () => {
+  mock.method(travelImpactModel, 'computeFlightEmissions', async flights => ({
+    flightEmissions: flights.map(flight => answerFor({ ...flight, flightNumber: 999 }))
+  }));
+  const offer = createOffer(['LH860'], '2030-01-04');
+
+  await attachFlightEmissions([offer]);
+
+  assert.notEqual(offer.itineraries[0].segments[0].emissionsSource, 'TIM_EMISSIONS');
+});
+
+test('counts the batches Google did not answer and leaves their flights to the local estimate', async () => {
+  mock.method(travelImpactModel, 'computeFlightEmissions', async flights => {
+    if (flights.some(flight => flight.flightNumber === 862)) throw new Error('socket hang up');
+    return { flightEmissions: flights.map(answerFor) };
+  });
+  const offers = [createOffer(['LH860', 'SK4712'], '2030-01-05'), createOffer(['LH862'], '2030-01-05')];
+
+  const { failedBatches } = await attachFlightEmissions(offers);
+
+  assert.equal(failedBatches, 1);
+  assert.equal(offers[0].emissionsGramsPerPax.economy, gramsOf(860) + gramsOf(4712));
+  assert.equal(offers[1].itineraries[0].segments[0].emissionsSource, 'LOCAL_ESTIMATE');
+  assert.equal(offers[1].emissionsEstimated, true);
+});
+
+test('warns about estimated emissions and a Travel Impact Model outage separately', async () => {
+  mock.method(travelImpactModel, 'computeFlightEmissions', async () => { throw new Error('socket hang up'); });
+  const offers = [createOffer(['LH860'], '2030-01-06')];
+  const { failedBatches } = await attachFlightEmissions(offers);
+
+  assert.deepEqual(getEmissionsWarnings(offers, failedBatches).map(warning => warning.code).sort(),
+    ['EMISSIONS_SERVICE_ERROR', 'ESTIMATED_EMISSIONS']);
+  assert.deepEqual(getEmissionsWarnings(offers).map(warning => warning.code), ['ESTIMATED_EMISSIONS']);
+});
+
+test('divides the emissions of each cabin class by the distance, rounded to 0.1 g per passenger-km', () => {
+  assert.deepEqual(getEmissionsIntensity({ economy: 98412, premiumEconomy: 157459 }, 1141), { economy: 86.3, premiumEconomy: 138 });
+});
+
+test('has no intensity when the distance is unknown or 0', () => {
+  assert.deepEqual(getEmissionsIntensity({ economy: 98412 }, null), {});
+  assert.deepEqual(getEmissionsIntensity({ economy: 98412 }, undefined), {});
+  assert.deepEqual(getEmissionsIntensity({ economy: 98412 }, 0), {});
+});
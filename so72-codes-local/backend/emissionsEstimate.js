@@ -0,0 +1,63 @@
+/**
+ * Local fallback emissions model:
+ * estimates the CO2 per passenger of a flight segment from its great-circle distance, aircraft type
+ * and cabin class, for the flights that Google Travel Impact Model has no data for.
+ *
+ * The factors approximate the UK government (DEFRA/DESNZ) greenhouse gas conversion factors for
+ * business travel by air: kg CO2 per passenger-km of short-haul and long-haul flights by cabin class,
+ * without radiative forcing so that they compare with Google's CO2 figures.
+ * Estimates are rougher than Google's per-flight model, so offers using them are flagged as estimated.
+ */
+
+// version of the factors below, reported with every estimate so that results stay comparable over time
+// bump it whenever a factor changes
+const ESTIMATE_MODEL_VERSION = '1.0';
+
+// flights up to this distance use the short-haul factors
+const SHORT_HAUL_MAX_KM = 3700;
+// uplift of the great-circle distance for routing and holding, as applied by DEFRA
+const DISTANCE_UPLIFT = 1.08;
+
+// g CO2 per passenger-km in economy, and the factor of each cabin class relative to economy
+// DEFRA gives no premium economy or first factor for short-haul, so those use economy and business
+const DISTANCE_BANDS = {
+  shortHaul: {
+    economyGramsPerKm: 151,
+    cabinFactors: { economy: 1, premiumEconomy: 1, business: 1.5, first: 1.5 }
+  },
+  longHaul: {
+    economyGramsPerKm: 148,
+    cabinFactors: { economy: 1, premiumEconomy: 1.6, business: 2.9, first: 4 }
+  }
+};
+
+// fuel efficiency of an aircraft type (IATA code) relative to the average aircraft of its band
+// types not listed count as average
+const AIRCRAFT_FACTORS = {
+  // turboprops
+  AT5: 0.8, AT7: 0.8, ATR: 0.8, DH4: 0.85,
+  // regional jets
+  CR7: 1.2, CR9: 1.15, CRK: 1.15, E75: 1.1, E90: 1.1, E95: 1.1,
+  // new-generation narrow-bodies
+  '221': 0.85, '223': 0.85, '31N': 0.85, '32N': 0.85, '32Q': 0.85, '7M8': 0.85, '7M9': 0.85,
+  // new-generation wide-bodies
+  '339': 0.9, '351': 0.85, '359': 0.85, '788': 0.85, '789': 0.85, '78X': 0.85,
+  // older four-engine wide-bodies
+  '343': 1.25, '346': 1.25, '388': 1.2, '744': 1.25, '74H': 1.15
+};
+
+// estimated emissions per passenger by cabin class of a segment, in the same shape as Google's
+// emissionsGramsPerPax, or null if its distance is unknown (see geo.attachDistances)
+function estimateSegmentEmissions(segment) {
+  if (!segment.distanceKm) return null;
+  const band = segment.distanceKm <= SHORT_HAUL_MAX_KM ? DISTANCE_BANDS.shortHaul : DISTANCE_BANDS.longHaul;
+  const aircraftFactor = AIRCRAFT_FACTORS[segment.aircraft?.code] || 1;
+  const economyGrams = segment.distanceKm * DISTANCE_UPLIFT * band.economyGramsPerKm * aircraftFactor;
+  return Object.fromEntries(Object.entries(band.cabinFactors)
+    .map(([cabin, factor]) => [cabin, Math.round(economyGrams * factor)]));
+}
+
+module.exports = {
+  ESTIMATE_MODEL_VERSION,
+  estimateSegmentEmissions,
+};
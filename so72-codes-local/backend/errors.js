@@ -0,0 +1,66 @@
+/**
+ * Error taxonomy of the API:
+ * every error response has the shape { error, code, retryable, providersTried } with a code from
+ * ERROR_CODES, so the frontend can show a targeted message instead of the raw text.
+ * providersTried lists each upstream that was attempted as { provider, code, message }.
+ */
+
+const { getErrorStatus } = require('./resilience');
+
+// stable error codes, with the HTTP status and whether trying again later may help
+const ERROR_CODES = {
+  VALIDATION_FAILED: { status: 400, retryable: false },
+  INVALID_ROUTE: { status: 422, retryable: false },
+  QUOTA_EXCEEDED: { status: 429, retryable: true },
+  PROVIDER_UNAVAILABLE: { status: 502, retryable: true },
+  TIMEOUT: { status: 504, retryable: true },
+  // not fatal: sent as a warning next to offers that have no emissions
+  NO_EMISSIONS_DATA: { status: 200, retryable: true },
+  INTERNAL_ERROR: { status: 500, retryable: true },
+};
+
+// create an error that carries one of the codes above
+function createApiError(code, message, providersTried = []) {
+  const error = new Error(message);
+  error.apiCode = code;
+  error.providersTried = providersTried;
+  return error;
+}
+
+// map an Amadeus, Duffel or Google error to one of the codes above
+function classifyUpstreamError(error) {
+  if (error.code === 'UPSTREAM_TIMEOUT') return 'TIMEOUT';
+  const status = getErrorStatus(error);
+  if (status === 429) return 'QUOTA_EXCEEDED';
+  // the provider rejected the route itself, e.g. an unknown airport code
+  if (status === 400 || status === 404 || status === 422) return 'INVALID_ROUTE';
+  return 'PROVIDER_UNAVAILABLE';
+}
+
+// one code for a list of failed providers: their shared code, otherwise provider unavailable
+function summariseProviderFailures(providersTried) {
+  const codes = new Set(providersTried.map(attempt => attempt.code));
+  return codes.size === 1 ? [...codes][0] : 'PROVIDER_UNAVAILABLE';
+}
+
+// status and body of an error response
+function toErrorResponse(error) {
+  const code = ERROR_CODES[error.apiCode] ? error.apiCode : 'INTERNAL_ERROR';
+  return {
+    status: ERROR_CODES[code].status,
+    body: {
+      error: error.message || 'Flight search failed',
+      code,
+      retryable: ERROR_CODES[code].retryable,
+      providersTried: error.providersTried || []
+    }
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  createApiError,
+  classifyUpstreamError,
+  summariseProviderFailures,
+  toErrorResponse,
+};
@@ -0,0 +1,31 @@
+// tests of the exchange rates table
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { getExchangeRates, toBaseCurrency } = require('./exchangeRates');
+
+afterEach(() => mock.restoreAll());
+
+test('converts an amount to the base currency, or null for a currency missing from the table', () => {
+  const rates = { EUR: 1, NOK: 11.5 };
+
+  assert.equal(toBaseCurrency(115, 'NOK', rates), 10);
+  assert.equal(toBaseCurrency(100, 'EUR', rates), 100);
+  assert.equal(toBaseCurrency(100, 'XYZ', rates), null);
+});
+
+test('checks the file for a refreshed table at most once a minute', () => {
+  let now = Date.now();
+  mock.method(Date, 'now', () => now);
+  getExchangeRates();
+  const statSync = mock.method(fs, 'statSync');
+
+  // e.g. every offer of a search
+  for (let i = 0; i < 100; i++) toBaseCurrency(100, 'EUR');
+  assert.equal(statSync.mock.callCount(), 0);
+
+  now += 60 * 1000;
+  assert.equal(getExchangeRates().base, 'EUR');
+  assert.equal(statSync.mock.callCount(), 1);
+});
@@ -0,0 +1,44 @@
+// tests of the geographic helpers: great-circle distances and the distances of offers
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getDistanceKm, getAirportDistanceKm, attachDistances } = require('./geo');
+
+// an offer flying the given routes, e.g. [['FRA', 'MUC'], ['MUC', 'OSL']] for each itinerary
+const createOffer = (...itineraries) => ({
+  itineraries: itineraries.map(segments => ({
+    segments: segments.map(([from, to]) => ({ departure: { iataCode: from }, arrival: { iataCode: to } }))
+  }))
+});
+
+test('measures the great-circle distance between two points', () => {
+  // London to Paris city centres, about 344 km
+  const london = { latitude: 51.5074, longitude: -0.1278 };
+  const paris = { latitude: 48.8566, longitude: 2.3522 };
+
+  assert.equal(Math.round(getDistanceKm(london, paris)), 344);
+  assert.equal(getDistanceKm(paris, london), getDistanceKm(london, paris));
+  assert.equal(getDistanceKm(paris, paris), 0);
+});
+
+test('measures airports from the bundled coordinates, or null for an unknown airport', () => {
+  assert.equal(getAirportDistanceKm('FRA', 'OSL'), 1141);
+  assert.equal(getAirportDistanceKm('FRA', 'XXX'), null);
+});
+
+test('sums the segment distances of each itinerary and of the whole offer', () => {
+  const [offer] = attachDistances([createOffer([['FRA', 'MUC'], ['MUC', 'OSL']], [['OSL', 'FRA']])]);
+
+  assert.deepEqual(offer.itineraries[0].segments.map(segment => segment.distanceKm), [300, 1318]);
+  // a connection is longer than the direct flight
+  assert.equal(offer.itineraries[0].distanceKm, 1618);
+  assert.equal(offer.itineraries[1].distanceKm, 1141);
+  assert.equal(offer.distanceKm, 1618 + 1141);
+});
+
+test('leaves the distance unknown if any segment is unknown', () => {
+  const [offer] = attachDistances([createOffer([['FRA', 'XXX'], ['XXX', 'OSL']])]);
+
+  assert.equal(offer.itineraries[0].distanceKm, null);
+  assert.equal(offer.distanceKm, null);
+});
@@ -0,0 +1,264 @@
+/**
+ * Duffel flight provider:
+ * flight offers from the Duffel Offer Requests API, and airport and city suggestions and nearby
+ * airports from the Duffel Place Suggestions API.
+ * Duffel offers are transformed into the normalised offer model (see ./offerModel.js).
+ */
+
+// Duffel API SDK
+const { Duffel } = require('@duffel/api');
+// record-and-replay of upstream responses
+const { withCassette } = require('../cassettes');
+// timeout, retries and circuit breaker
+const { callUpstream } = require('../resilience');
+// shared offer model of all providers
+const { completeOffer, toCheckedBags } = require('./offerModel');
+
+// initialize Duffel SDK with API credentials
+// The code below was taken from a post by Duffel: https://github.com/duffelhq/duffel-api-javascript/blob/main/README.md (last accessed 2025 07-27)
+// BEGIN Copied Code
+const duffel = new Duffel({
+  token: process.env.DUFFEL_API_KEY,
+});
+// END Copied Code
+
+// ages sent for children (2-11) and infants (under 2)
+const DUFFEL_CHILD_AGE = 8;
+const DUFFEL_INFANT_AGE = 1;
+
+// traveler type of a Duffel passenger, who is identified by type for adults and by age otherwise
+function toTravelerType(passenger) {
+  if (passenger.type === 'adult') return 'ADULT';
+  return passenger.type === 'infant_without_seat' || passenger.age < 2 ? 'HELD_INFANT' : 'CHILD';
+}
+
+// fare of one passenger on every segment of a Duffel offer, in the normalised fareDetailsBySegment shape
+// Duffel names the fare brand on the slice and lists the bags of each passenger on each segment
+function toFareDetailsBySegment(duffelOffer, passengerId) {
+  return duffelOffer.slices.flatMap(slice => slice.segments.map(segment => {
+    const passenger = segment.passengers?.find(segmentPassenger => segmentPassenger.passenger_id === passengerId);
+    const checkedBags = passenger?.baggages?.filter(baggage => baggage.type === 'checked');
+    return {
+      segmentId: segment.id,
+      cabin: passenger?.cabin_class ? passenger.cabin_class.toUpperCase() : null,
+      brandedFare: slice.fare_brand_name || null,
+      // a passenger without a checked baggage entry has no checked bags
+      includedCheckedBags: checkedBags ? toCheckedBags({ quantity: checkedBags.reduce((sum, baggage) => sum + baggage.quantity, 0) }) : null
+    };
+  }));
+}
+
+// transform Duffel data structure to match the normalised (Amadeus) one
+function normaliseOffer(duffelOffer) {
+  const refund = duffelOffer.conditions?.refund_before_departure;
+  return completeOffer({
+    id: duffelOffer.id,
+    // transform itineraries
+    itineraries: duffelOffer.slices.map(slice => ({
+      duration: slice.duration,
+      segments: slice.segments.map(segment => ({
+        id: segment.id,
+        departure: {
+          iataCode: segment.origin.iata_code,
+          terminal: segment.origin_terminal || null,
+          at: segment.departing_at
+        },
+        arrival: {
+          iataCode: segment.destination.iata_code,
+          terminal: segment.destination_terminal || null,
+          at: segment.arriving_at
+        },
+        // marketing flight the ticket is sold as
+        carrierCode: segment.marketing_carrier.iata_code,
+        carrierName: segment.marketing_carrier.name || null,
+        number: segment.marketing_carrier_flight_number,
+        // operating flight is what Google Travel Impact Model knows about
+        // Duffel may leave the operating flight number out for codeshares
+        operating: {
+          carrierCode: segment.operating_carrier.iata_code,
+          carrierName: segment.operating_carrier.name || null,
+          number: segment.operating_carrier_flight_number || null
+        },
+        aircraft: {
+          code: segment.aircraft?.iata_code || '',
+          name: segment.aircraft?.name || null
+        },
+        duration: segment.duration
+      }))
+    })),
+    // transform price
+    price: {
+      total: duffelOffer.total_amount,
+      currency: duffelOffer.total_currency
+    },
+    // Duffel only prices the whole offer, not each passenger
+    travelerPricings: (duffelOffer.passengers || []).map(passenger => ({
+      travelerId: passenger.id,
+      travelerType: toTravelerType(passenger),
+      price: null,
+      fareDetailsBySegment: toFareDetailsBySegment(duffelOffer, passenger.id)
+    })),
+    // Duffel leaves the refund condition out when the airline does not say
+    refundable: refund ? refund.allowed : null,
+    // Duffel does not report how many seats are left
+    numberOfBookableSeats: null
+  });
+}
+
+// search flight offers and return them in the normalised offer model
+async function searchOffers({ legs, adults, children, infants, cabinClass }, requestId) {
+  // parameters transfomred for requesting to Duffel's API
+  // build passengers array for Duffel API
+  // Duffel identifies children and infants by age, so a typical age of each group is sent
+  const passengers = [
+    ...Array.from({ length: adults }, () => ({ type: 'adult' })),
+    ...Array.from({ length: children }, () => ({ age: DUFFEL_CHILD_AGE })),
+    // passengers under 2 travel on a lap
+    ...Array.from({ length: infants }, () => ({ age: DUFFEL_INFANT_AGE }))
+  ];
+
+  // build slices array for Duffel API, one slice per leg (outbound and return, or each multi-city flight)
+  const slices = legs.map(leg => ({
+    origin: leg.locationDeparture,
+    destination: leg.locationArrival,
+    departure_date: leg.departure
+  }));
+
+  // search parameters for Duffel API
+  const duffelSearchParams = {
+    slices: slices,
+    passengers: passengers,
+    max_connections: 2
+  };
+
+  // add cabin class
+  if (cabinClass) {
+    duffelSearchParams.cabin_class = cabinClass.toLowerCase();
+  }
+
+  const allFlightOffers = await withCassette('duffel-offers', duffelSearchParams, async () => {
+    // create Duffel's flight offer request
+    console.log("Creating Duffel offer request...");
+    // The code below was taken from a post by Duffel: https://duffel.com/docs/api/v2/offer-requests (last accessed 2025 07-27)
+    // BEGIN Copied Code
+    const offerRequest = await callUpstream('duffel', () => duffel.offerRequests.create(duffelSearchParams));
+    // END Copied Code
+
+    // get offers from the request
+    console.log(`Fetching offers from Duffel... [${requestId}]`);
+    const offersResponse = await callUpstream('duffel', () => duffel.offers.list({
+      offer_request_id: offerRequest.data.id,
+      // limit to 40 offers due to the limit of 120 requests per minute
+      limit: 40
+    }));
+    return offersResponse.data;
+  });
+
+  // deduplicate Duffel offers
+  const flightRouteMap = new Map();
+
+  allFlightOffers.forEach(offer => {
+    // generate unique flight route key
+    const flightKey = offer.slices.map(slice =>
+      slice.segments.map(segment =>
+        `${segment.marketing_carrier.iata_code}${segment.marketing_carrier_flight_number}@${segment.departing_at}`
+      ).join('|')
+    ).join('||');
+
+    // keep only unique flight route
+    if (!flightRouteMap.has(flightKey)) {
+      flightRouteMap.set(flightKey, offer);
+    }
+  });
+
+  const removedDuplicates = allFlightOffers.length - flightRouteMap.size;
+  if (removedDuplicates > 0) {
+    // for debugging purpose
+    console.log(`[${requestId}] Removed ${removedDuplicates} duplicate flight routes, keeping ${flightRouteMap.size} unique offers`);
+  }
+
+  // convert back to array with only unique flight routes in the normalised offer model
+  return Array.from(flightRouteMap.values()).map(offer => normaliseOffer(offer));
+}
+
+// Duffel places (airports and cities) matching the search parameters
+async function getPlaceSuggestions(params) {
+  // The code below was taken from a post by Duffel: https://duffel.com/docs/api/places/get-place-suggestions?ref=duffel.ghost.io (last accessed 2025 07-27)
+  return withCassette('duffel-suggestions', params, async () => {
+    // BEGIN Copied Code
+    const response = await callUpstream('duffel', () => duffel.suggestions.list(params));
+    // END Copied Code
+    return response.data;
+  });
+}
+
+// airport in the shape returned by getLocationAirports and searchNearbyAirports
+function toAirportLocation(airport) {
+  return {
+    iataCode: airport.iata_code,
+    name: airport.name,
+    cityName: airport.city_name || airport.city?.name || '',
+    latitude: airport.latitude ?? null,
+    longitude: airport.longitude ?? null
+  };
+}
+
+// search airports and cities matching the keyword for the autocomplete drop-down
+async function searchAirports(keyword) {
+  const suggestions = await getPlaceSuggestions({ query: keyword });
+
+  // format the Duffel response data for communication with frontend
+  return suggestions
+    // only include airports and cities with an IATA code
+    .filter(suggestion => (suggestion.type === 'airport' || suggestion.type === 'city') && suggestion.iata_code)
+    .map(place => place.type === 'city'
+      ? {
+        // a city code stands for all of its airports
+        type: 'city',
+        iataCode: place.iata_code,
+        name: place.name,
+        cityName: place.name,
+        countryName: '',
+        displayName: `${place.iata_code} - ${place.name} (all airports)`
+      }
+      : {
+        type: 'airport',
+        // 3-letter airport code
+        iataCode: place.iata_code,
+        // airport name
+        name: place.name,
+        // airport's city
+        cityName: place.city?.name || '',
+        // airport's country
+        countryName: place.city?.country?.name || '',
+        // what user can see from drop-down menu
+        displayName: `${place.iata_code} - ${place.name}${place.city?.name ? ', ' + place.city.name : ''}${place.city?.country?.name ? ', ' + place.city.country.name : ''}`
+      });
+}
+
+// airports of a city code, or the airport itself for an airport code
+async function getLocationAirports(code) {
+  const places = await getPlaceSuggestions({ query: code });
+  const city = places.find(place => place.type === 'city' && place.iata_code === code);
+  if (city) return (city.airports || []).map(toAirportLocation);
+  return places
+    .filter(place => place.type === 'airport' && place.iata_code === code)
+    .map(toAirportLocation);
+}
+
+// airports within radiusKm of a point
+async function searchNearbyAirports({ latitude, longitude }, radiusKm) {
+  // Duffel expects strings, and the radius in metres
+  const places = await getPlaceSuggestions({ lat: String(latitude), lng: String(longitude), rad: String(radiusKm * 1000) });
+  return places
+    .filter(place => place.type === 'airport' && place.iata_code)
+    .map(toAirportLocation);
+}
+
+module.exports = {
+  name: 'duffel',
+  searchOffers,
+  searchAirports,
+  getLocationAirports,
+  searchNearbyAirports,
+};
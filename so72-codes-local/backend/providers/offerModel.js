@@ -0,0 +1,78 @@
+/**
+ * Normalised offer model:
+ * the (Amadeus-shaped) offer that every provider returns, so the rest of the backend and the
+ * frontend behave the same whichever provider answered. Fields a provider does not know are null.
+ *
+ * offer: {
+ *   id,
+ *   itineraries: [{ duration, segments }], one per leg,
+ *   price: { total, currency } for all travelers,
+ *   travelerPricings: [{ travelerId, travelerType, price, fareDetailsBySegment }], one per traveler, where
+ *     travelerType is ADULT, CHILD or HELD_INFANT, price is { total, currency } or null, and
+ *     fareDetailsBySegment is [{ segmentId, cabin, brandedFare, includedCheckedBags }] with the checked bag
+ *     allowance { quantity, weight, weightUnit } or null (see toCheckedBags),
+ *   fareBrand, checkedBags: summary of travelerPricings, see completeOffer,
+ *   refundable: true or false if the fare can or cannot be refunded before departure,
+ *   numberOfBookableSeats
+ * }
+ * segment: {
+ *   id,
+ *   departure and arrival: { iataCode, terminal, at },
+ *   carrierCode, carrierName, number: marketing flight,
+ *   operating: { carrierCode, carrierName, alliance, number } operating flight, where number is null for a
+ *   codeshare whose operating flight number is unknown, and alliance is e.g. 'Star Alliance' or null,
+ *   aircraft: { code, name }, duration
+ * }
+ * Providers fill in the names they report, or null, and completeOffer looks them up and adds the
+ * alliance (see ../referenceNames.js).
+ */
+
+// names of carrier and aircraft codes
+const { getCarrierName, getAircraftName, getAlliance } = require('../referenceNames');
+
+// checked bag allowance of a fare as { quantity, weight, weightUnit }, e.g. { quantity: 0 } for none,
+// or null if the provider does not say
+function toCheckedBags(allowance) {
+  if (!allowance) return null;
+  return { quantity: allowance.quantity ?? null, weight: allowance.weight ?? null, weightUnit: allowance.weightUnit ?? null };
+}
+
+// segment with the names of its carriers and aircraft, and the alliance of its operating carrier
+function nameSegment(segment) {
+  const { carrierCode, carrierName } = segment.operating;
+  return {
+    ...segment,
+    carrierName: getCarrierName(segment.carrierCode, segment.carrierName),
+    operating: { ...segment.operating, carrierName: getCarrierName(carrierCode, carrierName), alliance: getAlliance(carrierCode) },
+    aircraft: { ...segment.aircraft, name: getAircraftName(segment.aircraft.code, segment.aircraft.name) }
+  };
+}
+
+// offer with the carrier and aircraft names of its segments, and the fare brand and checked bags of
+// the whole trip taken from its traveler pricings
+// the first adult's fare stands for the offer, since children and infants may have their own allowance
+// fareBrand: the brands of its segments, e.g. 'Classic' or 'Light / Classic' for mixed fares, or null
+// checkedBags: the allowance of the segment with the fewest bags, since it limits the whole trip,
+// or null if any segment's allowance is unknown
+function completeOffer(offer) {
+  const pricing = offer.travelerPricings.find(travelerPricing => travelerPricing.travelerType === 'ADULT') || offer.travelerPricings[0];
+  const fareDetails = pricing?.fareDetailsBySegment || [];
+  const brands = [...new Set(fareDetails.map(details => details.brandedFare).filter(Boolean))];
+  const allowances = fareDetails.map(details => details.includedCheckedBags);
+  // an allowance by weight only counts as one bag
+  const bagCount = (allowance) => allowance.quantity ?? 1;
+  const checkedBags = allowances.length > 0 && allowances.every(Boolean)
+    ? allowances.reduce((fewest, allowance) => bagCount(allowance) < bagCount(fewest) ? allowance : fewest)
+    : null;
+  return {
+    ...offer,
+    itineraries: offer.itineraries.map(itinerary => ({ ...itinerary, segments: itinerary.segments.map(nameSegment) })),
+    fareBrand: brands.length > 0 ? brands.join(' / ') : null,
+    checkedBags
+  };
+}
+
+module.exports = {
+  completeOffer,
+  toCheckedBags,
+};
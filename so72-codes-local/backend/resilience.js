@@ -0,0 +1,130 @@
+/**
+ * Timeouts, retries and circuit breakers around upstream calls:
+ * every call to Amadeus, Duffel or Google Travel Impact Model gets a per-upstream timeout, is
+ * retried with exponential backoff on transient errors, and is skipped straight away while the
+ * upstream's circuit breaker is open after repeated failures. A failing provider therefore hands
+ * over to the next one quickly instead of stalling the whole search.
+ *
+ * A call that runs into its own timeout is not retried, since the upstream is hanging and waiting
+ * for it again would only hold up the fallback provider. Only transient errors (timeouts, network
+ * errors, HTTP 429 and 5xx) count towards the circuit breaker, as they say the upstream is down or
+ * overloaded. Other errors such as 400, 401/403 (bad credentials) or 404 are answered quickly, so
+ * skipping the upstream would gain nothing; they are thrown as they are and leave the breaker as it is.
+ */
+
+const config = require('./config');
+
+// network error codes of an unhealthy upstream, retried except for our own timeout
+const TRANSIENT_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UPSTREAM_TIMEOUT']);
+// Amadeus SDK error codes worth retrying
+const TRANSIENT_AMADEUS_CODES = new Set(['NetworkError', 'ServerError']);
+
+// circuit breaker state by upstream name
+const circuits = new Map();
+
+// HTTP status of an error, whichever SDK threw it
+function getErrorStatus(error) {
+  return error.response?.status ?? error.response?.statusCode ?? error.status ?? error.meta?.status;
+}
+
+// whether an error is likely to go away if the call is simply made again
+function isTransientError(error) {
+  const status = getErrorStatus(error);
+  if (status === 429 || status >= 500) return true;
+  return TRANSIENT_ERROR_CODES.has(error.code) || TRANSIENT_AMADEUS_CODES.has(error.code);
+}
+
+// reject if the call does not settle in time
+function withTimeout(promise, timeoutMs, upstream) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${upstream} did not respond within ${timeoutMs}ms`);
+      error.code = 'UPSTREAM_TIMEOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// failures: consecutive failed calls; openedAt: when the circuit opened, or null if it is closed
+// probing: whether the trial call of a half-open circuit is in flight
+function getCircuit(upstream) {
+  if (!circuits.has(upstream)) {
+    circuits.set(upstream, { failures: 0, openedAt: null, probing: false });
+  }
+  return circuits.get(upstream);
+}
+
+// open circuits reject calls until the reset time has passed, then let one trial call through
+// and reject the rest until it has settled
+function isCircuitOpen(upstream) {
+  const circuit = circuits.get(upstream);
+  if (!circuit || circuit.openedAt === null) return false;
+  return circuit.probing || Date.now() - circuit.openedAt < config.resilience.circuitResetMs;
+}
+
+function recordSuccess(upstream) {
+  const circuit = getCircuit(upstream);
+  if (circuit.openedAt !== null) console.log(`${upstream} circuit closed`);
+  circuit.failures = 0;
+  circuit.openedAt = null;
+}
+
+function recordFailure(upstream) {
+  const circuit = getCircuit(upstream);
+  circuit.failures++;
+  // a failed trial call in the half-open state opens the circuit again straight away
+  if (circuit.openedAt !== null || circuit.failures >= config.resilience.circuitFailureThreshold) {
+    circuit.openedAt = Date.now();
+    console.warn(`${upstream} circuit opened after ${circuit.failures} failures, skipping it for ${config.resilience.circuitResetMs / 1000}s`);
+  }
+}
+
+// make an upstream call with timeout, retries and circuit breaker
+// upstream: 'amadeus', 'duffel', 'tim' or 'ecb'; call: function that starts the real call
+async function callUpstream(upstream, call) {
+  if (isCircuitOpen(upstream)) {
+    const error = new Error(`${upstream} is temporarily unavailable (circuit open)`);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+
+  const { retries, retryBaseDelayMs } = config.resilience;
+  const timeoutMs = config.resilience.timeoutsMs[upstream];
+  // after the reset time of an open circuit this call is its one trial call
+  const circuit = getCircuit(upstream);
+  const isTrialCall = circuit.openedAt !== null;
+  if (isTrialCall) circuit.probing = true;
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await withTimeout(Promise.resolve().then(call), timeoutMs, upstream);
+        recordSuccess(upstream);
+        return result;
+      } catch (error) {
+        if (!isTransientError(error)) throw error;
+        if (attempt >= retries || error.code === 'UPSTREAM_TIMEOUT') {
+          recordFailure(upstream);
+          throw error;
+        }
+        // exponential backoff with jitter, e.g. ~200ms, ~400ms, ...
+        const delay = retryBaseDelayMs * 2 ** attempt * (0.5 + Math.random());
+        console.log(`${upstream} call failed (${error.code || getErrorStatus(error) || error.message}), retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  } finally {
+    if (isTrialCall) circuit.probing = false;
+  }
+}
+
+module.exports = {
+  callUpstream,
+  getErrorStatus,
+  isCircuitOpen,
+  isTransientError,
+};
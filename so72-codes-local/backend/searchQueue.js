@@ -0,0 +1,57 @@
+/**
+ * Flight search request coalescing and concurrency limit:
+ * identical concurrent searches (same cache key) share one in-flight promise, and different
+ * searches run in parallel up to config.searchConcurrency, with the rest waiting in a FIFO queue.
+ */
+
+const config = require('./config');
+
+// in-flight searches by cache key
+const inFlightSearches = new Map();
+// searches waiting for a free slot
+const waitingQueue = [];
+// num of searches currently running
+let runningCount = 0;
+
+// start queued searches while there are free slots
+function drainQueue() {
+  while (runningCount < config.searchConcurrency && waitingQueue.length > 0) {
+    const { task, resolve, reject } = waitingQueue.shift();
+    runningCount++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        runningCount--;
+        drainQueue();
+      });
+  }
+}
+
+// run a task once a slot is free
+function runWhenFree(task) {
+  return new Promise((resolve, reject) => {
+    waitingQueue.push({ task, resolve, reject });
+    drainQueue();
+  });
+}
+
+// run a search, or join the identical one that is already in flight
+function coalesceSearch(cacheKey, task) {
+  if (inFlightSearches.has(cacheKey)) {
+    return { promise: inFlightSearches.get(cacheKey), coalesced: true };
+  }
+  const promise = runWhenFree(task).finally(() => inFlightSearches.delete(cacheKey));
+  inFlightSearches.set(cacheKey, promise);
+  return { promise, coalesced: false };
+}
+
+// current load, for logging
+function getStats() {
+  return { running: runningCount, queued: waitingQueue.length, inFlight: inFlightSearches.size };
+}
+
+module.exports = {
+  coalesceSearch,
+  getStats,
+};
@@ -0,0 +1,185 @@
+/**
+ * Request validation for /date and /airport-search:
+ * each schema maps a field to a list of rules, and validation returns the cleaned values plus
+ * machine-readable field errors ({ field, code, message }) that the routes send back with HTTP 400.
+ * Fields of a multi-city leg are reported as e.g. legs[1].departure.
+ */
+
+// cabin classes accepted by both flight providers
+const CABIN_CLASSES = ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'];
+// num of seated passengers that Amadeus and Duffel accept in one search
+const MAX_PASSENGERS = 9;
+// num of flights in a multi-city search; Amadeus accepts at most 6 origin-destinations
+const MIN_LEGS = 2;
+const MAX_LEGS = 6;
+// ±days of a flexible-date search; every extra day adds a row and a column of searches
+const MAX_FLEXIBLE_DAYS = 3;
+// what an origin or destination code stands for; only a city is searched with all of its airports
+const LOCATION_TYPES = ['airport', 'city'];
+// radius of the nearby airport search in km; Amadeus searches up to 500 km, but further airports are rarely an alternative
+const MAX_NEARBY_KM = 300;
+
+// date pairs of a flexible-date search and their limit
+const { MAX_DATE_PAIRS, getDatePairs } = require('./flexibleDates');
+
+// today's date in YYYY-MM-DD format, the same way the search form computes it
+const getTodayDate = () => new Date().toISOString().split('T')[0];
+
+// true for a real calendar date in YYYY-MM-DD format
+function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// rules return an error ({ code, message }) or null
+// values: all cleaned values of the request, for rules that compare fields
+const rules = {
+  required: (value) => (value === undefined || value === null || value === '')
+    ? { code: 'required', message: 'This field is required.' } : null,
+  iataCode: (value) => !/^[A-Z]{3}$/.test(value)
+    ? { code: 'invalid_iata_code', message: 'Use a 3-letter IATA airport or city code, e.g. FRA.' } : null,
+  date: (value) => !isValidDate(value)
+    ? { code: 'invalid_date', message: 'Use a valid date in YYYY-MM-DD format.' } : null,
+  notInPast: (value) => value < getTodayDate()
+    ? { code: 'date_in_past', message: 'The date cannot be in the past.' } : null,
+  notBeforeDeparture: (value, values) => values.departure && value < values.departure
+    ? { code: 'return_before_departure', message: 'The return date cannot be before the departure date.' } : null,
+  differentFromOrigin: (value, values) => value === values.locationDeparture
+    ? { code: 'same_origin_and_destination', message: 'The destination must differ from the origin.' } : null,
+  passengerCount: (value) => !(Number.isInteger(value) && value >= 1 && value <= MAX_PASSENGERS)
+    ? { code: 'invalid_passenger_count', message: `Choose between 1 and ${MAX_PASSENGERS} travellers.` } : null,
+  childCount: (value) => !(Number.isInteger(value) && value >= 0 && value <= MAX_PASSENGERS - 1)
+    ? { code: 'invalid_child_count', message: `Choose between 0 and ${MAX_PASSENGERS - 1} children.` } : null,
+  seatedPassengers: (value, values) => values.adults + value > MAX_PASSENGERS
+    ? { code: 'too_many_passengers', message: `Adults and children together cannot be more than ${MAX_PASSENGERS}.` } : null,
+  // infants travel on an adult's lap, so there can be at most one per adult
+  infantCount: (value, values) => !(Number.isInteger(value) && value >= 0 && value <= values.adults)
+    ? { code: 'invalid_infant_count', message: 'Each infant must travel with an adult.' } : null,
+  cabinClass: (value) => !CABIN_CLASSES.includes(value)
+    ? { code: 'invalid_cabin_class', message: `Choose one of ${CABIN_CLASSES.join(', ')}.` } : null,
+  flexibleDays: (value) => !(Number.isInteger(value) && value >= 0 && value <= MAX_FLEXIBLE_DAYS)
+    ? { code: 'invalid_flexible_days', message: `Choose between 0 and ${MAX_FLEXIBLE_DAYS} flexible days.` } : null,
+  // every date pair is a search of its own; dates that failed their own rules are not counted
+  flexibleDateBudget: (value, { departure, arrival }) => isValidDate(departure) && (!arrival || isValidDate(arrival)) &&
+    getDatePairs(departure, arrival, value).length > MAX_DATE_PAIRS
+    ? { code: 'too_many_flexible_dates', message: `Choose fewer flexible days: at most ${MAX_DATE_PAIRS} date combinations can be searched.` } : null,
+  locationType: (value) => !LOCATION_TYPES.includes(value)
+    ? { code: 'invalid_location_type', message: `Choose one of ${LOCATION_TYPES.join(', ')}.` } : null,
+  nearbyKm: (value) => !(Number.isInteger(value) && value >= 0 && value <= MAX_NEARBY_KM)
+    ? { code: 'invalid_nearby_km', message: `Choose a radius between 0 and ${MAX_NEARBY_KM} km.` } : null,
+  keyword: (value) => (typeof value !== 'string' || value.length < 2 || value.length > 50)
+    ? { code: 'invalid_keyword', message: 'Type between 2 and 50 characters.' } : null,
+};
+
+// clean-up applied to a raw value before the rules run
+const toUpperCode = (value) => typeof value === 'string' ? value.trim().toUpperCase() : value;
+const toLowerCase = (value) => typeof value === 'string' ? value.trim().toLowerCase() : value;
+const toTrimmed = (value) => typeof value === 'string' ? value.trim() : value;
+const toInteger = (value) => (value === undefined || value === '') ? value : Number(value);
+
+// schema of POST /date
+// optional fields are only checked when present
+const flightSearchSchema = {
+  locationDeparture: { clean: toUpperCode, rules: [rules.required, rules.iataCode] },
+  locationArrival: { clean: toUpperCode, rules: [rules.required, rules.iataCode, rules.differentFromOrigin] },
+  departure: { clean: toTrimmed, rules: [rules.required, rules.date, rules.notInPast] },
+  arrival: { clean: toTrimmed, optional: true, rules: [rules.date, rules.notInPast, rules.notBeforeDeparture] },
+  adults: { clean: toInteger, rules: [rules.required, rules.passengerCount] },
+  // children aged 2-11 with their own seat
+  children: { clean: toInteger, optional: true, rules: [rules.childCount, rules.seatedPassengers] },
+  // infants under 2 on an adult's lap
+  infants: { clean: toInteger, optional: true, rules: [rules.infantCount] },
+  cabinClass: { clean: toUpperCode, optional: true, rules: [rules.cabinClass] },
+  // search ±N days around the dates as well
+  flexibleDays: { clean: toInteger, optional: true, rules: [rules.flexibleDays, rules.flexibleDateBudget] },
+  // 'city' if the code was picked as a city, e.g. OSL for Oslo rather than Oslo airport; 'airport' by default
+  locationDepartureType: { clean: toLowerCase, optional: true, rules: [rules.locationType] },
+  locationArrivalType: { clean: toLowerCase, optional: true, rules: [rules.locationType] },
+  // search the airports within this radius of the origin and destination as well
+  nearbyKm: { clean: toInteger, optional: true, rules: [rules.nearbyKm] },
+};
+
+// schema of POST /date for multi-city searches, which send legs instead of the route fields above
+const multiCitySearchSchema = {
+  adults: flightSearchSchema.adults,
+  children: flightSearchSchema.children,
+  infants: flightSearchSchema.infants,
+  cabinClass: flightSearchSchema.cabinClass,
+};
+
+// schema of one leg of a multi-city search
+const legSchema = {
+  locationDeparture: flightSearchSchema.locationDeparture,
+  locationArrival: flightSearchSchema.locationArrival,
+  departure: flightSearchSchema.departure,
+};
+
+// schema of GET /airport-search
+const airportSearchSchema = {
+  keyword: { clean: toTrimmed, rules: [rules.required, rules.keyword] },
+};
+
+// validate input against a schema, stopping at the first failed rule of each field
+function validate(schema, input) {
+  const source = input || {};
+  const values = {};
+  Object.entries(schema).forEach(([field, { clean }]) => {
+    values[field] = clean(source[field]);
+  });
+
+  const fieldErrors = [];
+  Object.entries(schema).forEach(([field, { optional, rules: fieldRules }]) => {
+    if (optional && (values[field] === undefined || values[field] === '')) return;
+    for (const rule of fieldRules) {
+      const error = rule(values[field], values);
+      if (error) {
+        fieldErrors.push({ field, ...error });
+        break;
+      }
+    }
+  });
+
+  return { values, fieldErrors };
+}
+
+// validate a /date request, either a one-way/return search or a multi-city search with legs
+// values of a multi-city search: { legs: [{ locationDeparture, locationArrival, departure }], adults, children, infants, cabinClass }
+function validateFlightSearch(input) {
+  if (input?.legs === undefined) return validate(flightSearchSchema, input);
+
+  const { values, fieldErrors } = validate(multiCitySearchSchema, input);
+  const legs = Array.isArray(input.legs) ? input.legs : [];
+  if (legs.length < MIN_LEGS || legs.length > MAX_LEGS) {
+    fieldErrors.push({ field: 'legs', code: 'invalid_leg_count', message: `Add between ${MIN_LEGS} and ${MAX_LEGS} flights.` });
+  }
+
+  // departure date of the previous leg
+  let previousDeparture = null;
+  values.legs = legs.map((leg, index) => {
+    const result = validate(legSchema, leg);
+    result.fieldErrors.forEach(error => fieldErrors.push({ ...error, field: `legs[${index}].${error.field}` }));
+    // every flight must leave on or after the previous one
+    const departureValid = !result.fieldErrors.some(error => error.field === 'departure');
+    if (departureValid && previousDeparture && result.values.departure < previousDeparture) {
+      fieldErrors.push({ field: `legs[${index}].departure`, code: 'leg_before_previous_leg', message: 'This flight cannot depart before the previous one.' });
+    }
+    if (departureValid) previousDeparture = result.values.departure;
+    return result.values;
+  });
+
+  return { values, fieldErrors };
+}
+
+// body of a 400 response, in the same shape as the other error responses (see errors.js)
+function validationErrorResponse(fieldErrors) {
+  return { error: 'Invalid request.', code: 'VALIDATION_FAILED', retryable: false, providersTried: [], fieldErrors };
+}
+
+module.exports = {
+  flightSearchSchema,
+  airportSearchSchema,
+  validate,
+  validateFlightSearch,
+  validationErrorResponse,
+};
@@ -0,0 +1,26 @@
+// tests of the flight search request validation
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateFlightSearch } = require('./validation');
+
+// a valid one-way search with the given fields changed
+const createSearch = (fields) => ({ locationDeparture: 'FRA', locationArrival: 'OSL', departure: '2030-03-10', adults: 1, ...fields });
+
+// codes of the field errors of a search
+const getErrorCodes = (search) => validateFlightSearch(search).fieldErrors.map(error => `${error.field}: ${error.code}`);
+
+test('accepts flexible dates within the date pair budget', () => {
+  assert.deepEqual(getErrorCodes(createSearch({ flexibleDays: 3 })), []);
+  assert.deepEqual(getErrorCodes(createSearch({ arrival: '2030-03-20', flexibleDays: 2 })), []);
+});
+
+test('rejects a return search with more flexible date pairs than one request may search', () => {
+  assert.deepEqual(getErrorCodes(createSearch({ arrival: '2030-03-20', flexibleDays: 3 })),
+    ['flexibleDays: too_many_flexible_dates']);
+});
+
+test('accepts a location picked as an airport or a city only', () => {
+  assert.deepEqual(getErrorCodes(createSearch({ locationDepartureType: 'City', locationArrivalType: 'airport' })), []);
+  assert.deepEqual(getErrorCodes(createSearch({ locationArrivalType: 'region' })), ['locationArrivalType: invalid_location_type']);
+});
@@ -1,7 +1,7 @@
 // Co2SavingsInfographics component -shows CO2 savings comparisons for multiple cabin classes and the environmental benefits of choosing choosing Economy over Business/First class. 
 import React from 'react';
 
-const InfographicSavingsDetail = ({ baseClass, comparisonClass, co2Difference }) => {
+const InfographicSavingsDetail = ({ baseClass, comparisonClass, co2Difference, co2Label }) => {
   // no render if no meaningful savings
   if (!co2Difference || co2Difference <= 0) return null;
 
@@ -31,7 +31,7 @@ const InfographicSavingsDetail = ({ baseClass, comparisonClass, co2Difference })
 
   return (
     <div className="infographic-savings-detail">
-      <h3>By choosing {baseClass} over {comparisonClass}, you can save {co2Difference.toFixed(0)} kg of CO₂, which is equivalent to...</h3>
+      <h3>By choosing {baseClass} over {comparisonClass}, you can save {co2Difference.toFixed(0)} kg of {co2Label}, which is equivalent to...</h3>
 
       {/* smartphone charging equivalent */}
       <div className="infographic-item">
@@ -54,7 +54,8 @@ const InfographicSavingsDetail = ({ baseClass, comparisonClass, co2Difference })
   );
 };
 
-const Co2SavingsInfographics = ({ businessDifference, firstDifference }) => {
+// co2Label - label of the chosen climate metric, CO₂ or CO₂e
+const Co2SavingsInfographics = ({ businessDifference, firstDifference, co2Label = 'CO₂' }) => {
   // determine which comparisons to show based on available data
   const showBusiness = businessDifference && businessDifference > 0;
   const showFirst = firstDifference && firstDifference > 0;
@@ -70,6 +71,7 @@ const Co2SavingsInfographics = ({ businessDifference, firstDifference }) => {
           baseClass="Economy"
           comparisonClass="Business"
           co2Difference={businessDifference}
+          co2Label={co2Label}
         />
       )}
 
@@ -82,6 +84,7 @@ const Co2SavingsInfographics = ({ businessDifference, firstDifference }) => {
           baseClass="Economy"
           comparisonClass="First"
           co2Difference={firstDifference}
+          co2Label={co2Label}
         />
       )}
     </div>
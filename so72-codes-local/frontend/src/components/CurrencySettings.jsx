@@ -0,0 +1,28 @@
+// CurrencySettings component - lets the user choose the currency all prices are shown in
+
+import React from 'react';
+import { displayCurrencyOptions } from '../utils/constants';
+
+// displayCurrency - currency code, e.g. 'EUR'
+// setDisplayCurrency - callback with the new currency code
+// exchangeRates - rates table from the backend { base, date, source, rates }, or null if it could not be loaded
+const CurrencySettings = ({ displayCurrency, setDisplayCurrency, exchangeRates }) => (
+  <div className="currency-settings">
+    <label htmlFor="display-currency-select">💱 Currency </label>
+    <select
+      id="display-currency-select"
+      value={displayCurrency}
+      onChange={(e) => setDisplayCurrency(e.target.value)}
+      disabled={!exchangeRates}
+    >
+      {displayCurrencyOptions.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+    </select>
+    <span className="currency-hint">
+      {exchangeRates
+        ? `Converted with ${exchangeRates.source} of ${exchangeRates.date}, fares are charged in the airline's currency`
+        : 'Exchange rates unavailable, prices are shown in the currency of each airline'}
+    </span>
+  </div>
+);
+
+export default CurrencySettings;
@@ -0,0 +1,46 @@
+// EmissionsProvenance component - "how was this calculated" popover with the data sources and model versions of CO2 values
+
+import React, { useState } from 'react';
+import { emissionsSourceLabels } from '../utils/constants';
+
+// Google's model version, e.g. v1.8.0 (2024-06-01)
+const formatModelVersion = ({ major, minor, patch, dated }) => `v${major}.${minor}.${patch ?? 0}${dated ? ` (${dated})` : ''}`;
+
+// provenance - { sources, timModelVersion, estimateModelVersion } from the backend
+const EmissionsProvenance = ({ provenance }) => {
+  // popover visibility
+  const [isOpen, setIsOpen] = useState(false);
+  if (!provenance) return null;
+
+  // the popover sits inside clickable flight cards, so its clicks should not toggle them
+  const handleToggle = (event) => {
+    event.stopPropagation();
+    setIsOpen(!isOpen);
+  };
+
+  return (
+    <span className="emissions-provenance" onClick={event => event.stopPropagation()}>
+      <button type="button" className="provenance-toggle" onClick={handleToggle} aria-expanded={isOpen}>
+        ⓘ How was this calculated?
+      </button>
+      {isOpen && (
+        <div className="provenance-popover" role="dialog">
+          <div className="provenance-title">How was this calculated?</div>
+          <ul className="provenance-sources">
+            {provenance.sources.map(source => <li key={source}>{emissionsSourceLabels[source] || source}</li>)}
+          </ul>
+          {/* versions, so that values from different days can be compared */}
+          {provenance.timModelVersion && (
+            <div className="provenance-version">Google Travel Impact Model {formatModelVersion(provenance.timModelVersion)}</div>
+          )}
+          {provenance.estimateModelVersion && (
+            <div className="provenance-version">Local estimate v{provenance.estimateModelVersion}</div>
+          )}
+          <button type="button" className="provenance-close" onClick={handleToggle}>Close</button>
+        </div>
+      )}
+    </span>
+  );
+};
+
+export default EmissionsProvenance;
@@ -2,6 +2,7 @@
 
 
 import React from 'react';
+import { formatPrice } from '../utils/helpers';
 
 // change from minutes to hours 
 const formatDuration = (minutes) => {
@@ -10,18 +11,62 @@ const formatDuration = (minutes) => {
   return `${hours}h ${mins}m`;
 };
 
+// dropdown of ticked options, each with the number of flights it has
+// options - [{ value, label, count }]; excluded - values of the unticked options
+const MultiSelectFilter = ({ label, options, excluded, setExcluded }) => {
+  const shownCount = options.filter(option => !excluded.includes(option.value)).length;
+  const toggle = (value) => setExcluded(excluded.includes(value) ? excluded.filter(v => v !== value) : [...excluded, value]);
+
+  return (
+    <div className="dual-slider-group">
+      <div className="dual-slider-label">{label}</div>
+      <details className="multi-select-filter">
+        <summary className="sort-select filter-select-aligned">
+          {shownCount === options.length ? 'All' : `${shownCount} of ${options.length}`}
+        </summary>
+        <div className="multi-select-options">
+          {options.map(option => (
+            <label key={option.value} className="multi-select-option">
+              <input type="checkbox" checked={!excluded.includes(option.value)} onChange={() => toggle(option.value)} />
+              <span className="multi-select-option-label">{option.label}</span>
+              <span className="multi-select-option-count">{option.count}</span>
+            </label>
+          ))}
+          {excluded.length > 0 && (
+            <button type="button" className="multi-select-reset" onClick={() => setExcluded([])}>Select all</button>
+          )}
+        </div>
+      </details>
+    </div>
+  );
+};
+
 const FilterControls = ({
   priceRange, setPriceRange, minPrice, maxPrice,
   durationRange, setDurationRange, minDuration, maxDuration,
   co2Range, setCo2Range, minCo2, maxCo2,
-  stopsFilter, setStopsFilter
+  stopsFilter, setStopsFilter,
+  // options of the operating airline, alliance and connection airport filters as [{ value, label, count }],
+  // with the values the user has unticked
+  airlineOptions = [], excludedAirlines = [], setExcludedAirlines,
+  allianceOptions = [], excludedAlliances = [], setExcludedAlliances,
+  connectionOptions = [], excludedConnections = [], setExcludedConnections,
+  // longest layover allowed and the longest layover of the results (in minutes)
+  maxLayover, setMaxLayover, longestLayover = 0,
+  // label of the chosen climate metric, CO₂ or CO₂e
+  co2Label = 'CO₂',
+  // display currency of all prices
+  currency = 'EUR',
+  // what the prices cover, e.g. 'total for 2 adults'
+  priceScope = ''
 }) => {
   return (
     <div className="filter-controls-container">
       {/* price filter */}
       <div className="dual-slider-group">
         <div className="dual-slider-label">
-          Price: €{Number(priceRange[0]).toFixed(0)} - €{Number(priceRange[1]).toFixed(0)}
+          Price: {formatPrice(Number(priceRange[0]), currency, 0)} - {formatPrice(Number(priceRange[1]), currency, 0)}
+          {priceScope && <span className="price-scope-text"> ({priceScope})</span>}
         </div>
         <div className="dual-slider-track">
           {/* lower bound slider */}
@@ -83,7 +128,7 @@ const FilterControls = ({
       {/* CO2 emissions filter */}
       <div className="dual-slider-group">
         <div className="dual-slider-label">
-          CO₂: {Number(co2Range[0]).toFixed(1)}kg - {Number(co2Range[1]).toFixed(1)}kg
+          {co2Label}: {Number(co2Range[0]).toFixed(1)}kg - {Number(co2Range[1]).toFixed(1)}kg
         </div>
         <div className="dual-slider-track">
           {/* lower bound slider */}
@@ -127,6 +172,35 @@ const FilterControls = ({
           <option value="2">2+ Stops</option>
         </select>
       </div>
+
+      {/* operating airline, alliance and connection airport filters */}
+      {airlineOptions.length > 0 && (
+        <MultiSelectFilter label="Airlines" options={airlineOptions} excluded={excludedAirlines} setExcluded={setExcludedAirlines} />
+      )}
+      {allianceOptions.length > 0 && (
+        <MultiSelectFilter label="Alliances" options={allianceOptions} excluded={excludedAlliances} setExcluded={setExcludedAlliances} />
+      )}
+      {connectionOptions.length > 0 && (
+        <MultiSelectFilter label="Connecting in" options={connectionOptions} excluded={excludedConnections} setExcluded={setExcludedConnections} />
+      )}
+
+      {/* max layover filter, only for results with connections */}
+      {longestLayover > 0 && (
+        <div className="dual-slider-group">
+          <div className="dual-slider-label">
+            Max layover: {formatDuration(maxLayover)}
+          </div>
+          <div className="dual-slider-track">
+            <input 
+              type="range" 
+              min={0} 
+              max={longestLayover} 
+              value={maxLayover} 
+              onChange={e => setMaxLayover(Number(e.target.value))} 
+            />
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,18 +1,35 @@
 // FlightItem component - shows information for a single flight option 
 
 import React, { useState } from 'react';
-import { getCO2EmissionForClass, getPriceForClass, getFlightKey, formatTime, formatStops, formatDuration, parseDuration } from '../utils/helpers';
+import EmissionsProvenance from './EmissionsProvenance';
+import { getCO2EmissionForClass, getCO2IntensityForClass, getPriceForClass, getFlightKey, formatTime, formatStops, formatDuration, parseDuration, isReturnTrip, getItineraryLabel, getSeatedPassengerCount, formatTravellers, getPriceScopeLabel, formatPrice, getOperatedByLabel, getAircraftLabel, getFareSummary } from '../utils/helpers';
 
-const FlightItem = ({ flight, searchedCabinClass, isHighlighted, isSelected, onMouseEnter, onMouseLeave }) => {
+const FlightItem = ({ flight, searchedCabinClass, passengers = { adults: 1 }, isHighlighted, isSelected, onMouseEnter, onMouseLeave, showAirportLabel = false, co2Label = 'CO₂' }) => {
   // state for managing booking area 
   const [showBookingButtons, setShowBookingButtons] = useState(false);
   // state for managing detailed flight info 
   const [showDetailedSegments, setShowDetailedSegments] = useState(false);
-  // true for round-trip, false for one-way flights
+  // true for round-trip and multi-city, false for one-way flights
   const isRoundTrip = flight.itineraries.length > 1; 
+  // true for multi-city (and open-jaw) trips, whose legs do not simply go there and back
+  const isMultiCity = isRoundTrip && !isReturnTrip(flight);
   // CO2 emissions string for user chosen cabin class
   const co2Emission = getCO2EmissionForClass(flight, searchedCabinClass); 
-  // price (EURO)
+  // CO2 in g per passenger-km, to compare flights of different lengths
+  const co2Intensity = getCO2IntensityForClass(flight, searchedCabinClass);
+  // emissions of the flight are still streaming in from the backend
+  const isCalculatingCo2 = flight.emissionsGramsPerPax === undefined;
+  // CO2 of the whole group: every seat emits the per-passenger amount, infants on a lap add nothing
+  const seatedPassengers = getSeatedPassengerCount(passengers);
+  const isGroup = seatedPassengers > 1 || (parseInt(passengers.infants) || 0) > 0;
+  const groupCo2Emission = co2Emission ? (parseFloat(co2Emission) * seatedPassengers).toFixed(1) : null;
+  // CO2 (kg) of a segment for the chosen cabin class and its share (%) of the whole trip, or null without data
+  const getSegmentCo2 = (segment) => {
+    const segmentCo2 = getCO2EmissionForClass(segment, searchedCabinClass);
+    if (segmentCo2 === null || co2Emission === null) return null;
+    return { co2: segmentCo2, share: Math.round(parseFloat(segmentCo2) / parseFloat(co2Emission) * 100) };
+  };
+  // price in the display currency (see applyCurrency), or in the airline's currency if it could not be converted
   const price = getPriceForClass(flight, searchedCabinClass); 
   // unique identifier 
   const flightKey = getFlightKey(flight); 
@@ -20,8 +37,27 @@ const FlightItem = ({ flight, searchedCabinClass, isHighlighted, isSelected, onM
   // format cabin class string for human undersanable one 
   const cabinLabel = searchedCabinClass.replace('_', ' ').toLowerCase().replace(/\b\w/g, l => l.toUpperCase());
 
+  // searched travellers of the booking links, so the booking site prices the same group
+  const adultCount = parseInt(passengers.adults) || 1;
+  const childCount = parseInt(passengers.children) || 0;
+  const infantCount = parseInt(passengers.infants) || 0;
+  const skyscannerQuery = `?adults=${adultCount}&children=${childCount}&infants=${infantCount}&cabinclass=${searchedCabinClass.toLowerCase()}`;
+
+  // origin, destination and YYYY-MM-DD departure date of each itinerary
+  const getItineraryRoutes = () => flight.itineraries.map(itinerary => ({
+    origin: itinerary.segments[0].departure.iataCode,
+    destination: itinerary.segments.at(-1).arrival.iataCode,
+    date: itinerary.segments[0].departure.at.split('T')[0]
+  }));
+
   // generate Skyscanner booking URL with flight details
   const generateSkyscannerUrl = () => {
+    // multi-city trips list every flight as origin/date/destination
+    if (isMultiCity) {
+      const path = getItineraryRoutes().map(route => `${route.origin}/${route.date}/${route.destination}`).join('/');
+      return `https://www.skyscanner.com/transport/d/${path}/${skyscannerQuery}`;
+    }
+
     const firstItinerary = flight.itineraries[0];
     const origin = firstItinerary.segments[0].departure.iataCode;
     const destination = firstItinerary.segments[firstItinerary.segments.length - 1].arrival.iataCode;
@@ -38,7 +74,7 @@ const FlightItem = ({ flight, searchedCabinClass, isHighlighted, isSelected, onM
     }
     
     // add passengers and cabin class
-    url += `/?adults=1&cabinclass=${searchedCabinClass.toLowerCase()}`;
+    url += `/${skyscannerQuery}`;
     
     return url;
   };
@@ -52,16 +88,25 @@ const FlightItem = ({ flight, searchedCabinClass, isHighlighted, isSelected, onM
     const departureDate = firstItinerary.segments[0].departure.at.split('T')[0]; 
     
     let url = `https://www.kayak.com/flights/${origin}-${destination}/${departureDate}`;
-    
+
+    // for multi-city trips, add every further flight
+    if (isMultiCity) {
+      url = `https://www.kayak.com/flights/${getItineraryRoutes().map(route => `${route.origin}-${route.destination}/${route.date}`).join('/')}`;
+    }
     // for round trips, add return date
-    if (flight.itineraries.length > 1) {
+    else if (flight.itineraries.length > 1) {
       const returnItinerary = flight.itineraries[1];
       const returnDate = returnItinerary.segments[0].departure.at.split('T')[0];
       url += `/${returnDate}`;
     }
     
-    // add passengers and cabin class parameters
-    url += `?sort=bestflight_a&passengers=1`;
+    // add passengers, e.g. /2adults/children-11-1L for two adults, a child and an infant on a lap
+    // the search does not ask for ages, so children are sent as 11 year olds
+    url += `/${adultCount}adults`;
+    if (childCount > 0 || infantCount > 0) {
+      url += `/children-${[...Array(childCount).fill('11'), ...Array(infantCount).fill('1L')].join('-')}`;
+    }
+    url += `?sort=bestflight_a`;
     
     // add cabin class if not economy
     if (searchedCabinClass !== 'ECONOMY') {
@@ -106,6 +151,12 @@ const FlightItem = ({ flight, searchedCabinClass, isHighlighted, isSelected, onM
       >
       {/* flight segments part */}
       <div className="flight-segments">
+        {/* airports of the outbound flight, when a city code or nearby airports were searched */}
+        {showAirportLabel && (
+          <div className="airport-pair-label">
+            {flight.itineraries[0].segments[0].departure.iataCode} → {flight.itineraries[0].segments.at(-1).arrival.iataCode}
+          </div>
+        )}
         {flight.itineraries.map((itinerary, index) => {
           // segment information for this itinerary
           // first flight segment
@@ -119,11 +170,13 @@ const FlightItem = ({ flight, searchedCabinClass, isHighlighted, isSelected, onM
           // duration (in minutes)
           const segmentDuration = itinerary.duration ? parseDuration(itinerary.duration) : 
           (new Date(lastSegment.arrival.at) - new Date(firstSegment.departure.at)) / (1000 * 60); 
+          // CO2 emissions of this leg alone, for trips with more than one leg
+          const legCo2Emission = isRoundTrip && itinerary.emissionsCompleteness ? getCO2EmissionForClass(itinerary, searchedCabinClass) : null;
 
           return (
             <div key={index} className="flight-segment">
-              {/* show return for round trips */}
-              {index === 1 && <div className="segment-separator">Return Flight</div>}
+              {/* show return for round trips, and the flight number for multi-city trips */}
+              {index > 0 && <div className="segment-separator">{getItineraryLabel(flight, index)}</div>}
               
               <div className="flight-details">
                 {/* airline info */}
@@ -147,7 +200,10 @@ const FlightItem = ({ flight, searchedCabinClass, isHighlighted, isSelected, onM
                   <div className="airline-meta-list">
                     {itinerary.segments.map((seg, idx) => (
                       <div className="airline-meta" key={idx}>
+                        {seg.carrierName && <div className="carrier-name-text">{seg.carrierName}</div>}
                         {seg.carrierCode} {seg.number}
+                        {/* codeshares show the airline that actually flies them */}
+                        {getOperatedByLabel(seg) && <div className="operated-by-text">{getOperatedByLabel(seg)}</div>}
                       </div>
                     ))}
                   </div>
@@ -175,6 +231,7 @@ const FlightItem = ({ flight, searchedCabinClass, isHighlighted, isSelected, onM
                 <div className="stops-info">
                   <div className="stops-text">{formatStops(stops)}</div>
                   <div className="duration-text">⏱️ {formatDuration(segmentDuration)}</div>
+                  {legCo2Emission && <div className="leg-co2-text">{co2Label} {legCo2Emission} kg</div>}
                 </div>
               </div>
             </div>
@@ -193,7 +250,7 @@ const FlightItem = ({ flight, searchedCabinClass, isHighlighted, isSelected, onM
           {flight.itineraries.map((itinerary, itineraryIndex) => (
             <div key={itineraryIndex} className="detailed-itinerary">
               {itinerary.segments.length > 1 && (
-                <h5>{itineraryIndex === 0 ? 'Outbound Journey' : 'Return Journey'}</h5>
+                <h5>{isMultiCity ? getItineraryLabel(flight, itineraryIndex) : itineraryIndex === 0 ? 'Outbound Journey' : 'Return Journey'}</h5>
               )}
               
               {itinerary.segments.map((segment, segmentIndex) => (
@@ -208,9 +265,11 @@ const FlightItem = ({ flight, searchedCabinClass, isHighlighted, isSelected, onM
                         alt={segment.carrierCode} 
                         className="small-airline-logo" 
                       />
+                      {segment.carrierName && <span className="carrier-name">{segment.carrierName}</span>}
                       {segment.carrierCode} {segment.number}
+                      {getOperatedByLabel(segment) && <span className="operated-by-text">{getOperatedByLabel(segment)}</span>}
                     </div>
-                    <div className="aircraft-info">{segment.aircraft?.code || 'N/A'}</div>
+                    <div className="aircraft-info" title={segment.aircraft?.code}>{getAircraftLabel(segment)}</div>
                   </div>
                   
                   <div className="segment-times">
@@ -242,6 +301,18 @@ const FlightItem = ({ flight, searchedCabinClass, isHighlighted, isSelected, onM
                     </div>
                   </div>
                   
+                  {/* CO2 of this segment and its share of the whole trip */}
+                  {getSegmentCo2(segment) && (
+                    <div className="segment-co2">
+                      <div className="segment-co2-text">
+                        {co2Label} {getSegmentCo2(segment).co2} kg · {getSegmentCo2(segment).share}% of the trip
+                        {segment.distanceKm != null && ` · ${segment.distanceKm.toLocaleString()} km`}
+                        {segment.emissionsEstimated && <span className="segment-co2-estimated"> (estimated)</span>}
+                      </div>
+                      <div className="segment-co2-bar"><div className="segment-co2-bar-fill" style={{ width: `${getSegmentCo2(segment).share}%` }}></div></div>
+                    </div>
+                  )}
+
                   {/* show layover info if it is not the last segment */}
                   {segmentIndex < itinerary.segments.length - 1 && (
                     <div className="layover-info">
@@ -264,16 +335,45 @@ const FlightItem = ({ flight, searchedCabinClass, isHighlighted, isSelected, onM
         {/* main CO2 info */}
         <div className="co2-main-info">
           <div className="co2-amount">
-            <span className="co2-text-label">CO₂</span> {co2Emission} kg
+            <span className="co2-text-label">{isRoundTrip ? `Total ${co2Label}` : co2Label}</span> {isCalculatingCo2 ? <span className="co2-calculating">Calculating…</span> : `${co2Emission} kg`}
           </div>
-          {/* . */}
+          {/* CO2 of some segments comes from the local estimate because Google has no data for them */}
+          {flight.emissionsEstimated && (
+            <div className="co2-estimated-badge" title="Google has no CO₂ data for this flight, so it is estimated from the distance, aircraft type and cabin class using DEFRA emission factors">
+              ≈ Estimated
+            </div>
+          )}
+          {/* data sources and model versions behind the CO2 values */}
+          <EmissionsProvenance provenance={flight.emissionsProvenance} />
+          {/* CO2 intensity over the great-circle distance flown */}
+          {co2Intensity !== null && (
+            <div className="co2-intensity-text">
+              {co2Intensity.toFixed(0)} g/pax-km · {flight.distanceKm.toLocaleString()} km
+            </div>
+          )}
+          {/* per passenger and for the whole group of travellers */}
+          {isGroup && !isCalculatingCo2 && (
+            <div className="co2-group-text">
+              per passenger · <strong>{groupCo2Emission} kg</strong> for {formatTravellers(passengers)}
+              {passengers.infants > 0 && <div className="co2-infant-note">infants on a lap use no seat, so add no CO₂</div>}
+            </div>
+          )}
         </div>
         
         {/* price display */}
-        <div className="price-display">€{price.toFixed(2)}</div>
+        <div className="price-display">{formatPrice(price, flight.price?.currency)}</div>
+        <div className="price-scope-text">{getPriceScopeLabel(passengers)}</div>
+        {/* the fare is charged in the airline's currency */}
+        {flight.originalPrice && (
+          <div className="original-price-text">converted from {formatPrice(parseFloat(flight.originalPrice.total), flight.originalPrice.currency)}</div>
+        )}
         
         {/* cabin class information */}
         <div className="cabin-class-info">{cabinLabel}</div>
+        {/* fare brand, checked bags, refundability and seats left, where the provider reports them */}
+        {getFareSummary(flight).length > 0 && (
+          <div className="fare-summary">{getFareSummary(flight).join(' · ')}</div>
+        )}
         
         {/* selection button */}
         <button className="select-button" onClick={handleSelectClick}>
@@ -1,26 +1,75 @@
 // FlightSearchForm component - flight search form 
 
 import React, { useState, useEffect, useRef } from 'react';
-import { cabinClassOptions } from '../utils/constants';
+import { cabinClassOptions, flexibleDayOptions, nearbyAirportOptions, multiCityLegLimits, maxSeatedPassengers } from '../utils/constants';
 
-const FlightSearchForm = ({ onSearch, loading }) => {
-  // 'return' for default but it can be 'oneway'  
-  const [tripType, setTripType] = useState('return'); 
+// stable default so the effect below only runs when new errors arrive
+const NO_FIELD_ERRORS = [];
+
+// empty multi-city leg, optionally between the given airports
+const createLeg = (locationDeparture = '', locationArrival = '') => ({ locationDeparture, locationArrival, departure: '' });
+
+// initial trip type of the form
+const getInitialTripType = (initialSearch) => {
+  if (initialSearch?.legs) return 'multicity';
+  return initialSearch && !initialSearch.arrival ? 'oneway' : 'return';
+};
+
+// initialSearch - previous search parameters to pre-fill the form with (optional)
+// fieldErrors - field errors from the backend, e.g. [{ field: 'departure', message: '...' }] (optional)
+const FlightSearchForm = ({ onSearch, loading, initialSearch = null, fieldErrors = NO_FIELD_ERRORS }) => {
+  // 'return' for default but it can be 'oneway' or 'multicity'
+  const [tripType, setTripType] = useState(getInitialTripType(initialSearch)); 
   // origin/destination states: frankfurt (FRA) and Oslo (OSL) as default 
   // since Germans and Norweigens  are the target users of this app 
-  const [origin, setOrigin] = useState('FRA'); 
-  const [destination, setDestination] = useState('OSL'); 
-  const [departureDate, setDepartureDate] = useState('');
-  const [arrivalDate, setArrivalDate] = useState(''); 
+  const [origin, setOrigin] = useState(initialSearch?.locationDeparture ?? 'FRA'); 
+  const [destination, setDestination] = useState(initialSearch?.locationArrival ?? 'OSL'); 
+  // whether the origin and destination are an airport or a city picked from the suggestions,
+  // since only a city is searched with all of its airports
+  const [originType, setOriginType] = useState(initialSearch?.locationDepartureType ?? 'airport');
+  const [destinationType, setDestinationType] = useState(initialSearch?.locationArrivalType ?? 'airport');
+  const [departureDate, setDepartureDate] = useState(initialSearch?.departure ?? '');
+  const [arrivalDate, setArrivalDate] = useState(initialSearch?.arrival ?? ''); 
+  // flights of a multi-city trip as [{ locationDeparture, locationArrival, departure }]
+  const [legs, setLegs] = useState(initialSearch?.legs ?? [createLeg('FRA', 'OSL'), createLeg('OSL')]);
   // 1 passenger as default 
-  const [adults, setAdults] = useState(1);
+  const [adults, setAdults] = useState(initialSearch?.adults ?? 1);
+  // children (2-11) with their own seat and infants (under 2) on a lap, none as default
+  const [children, setChildren] = useState(initialSearch?.children ?? 0);
+  const [infants, setInfants] = useState(initialSearch?.infants ?? 0);
   // economy class as default 
-  const [cabinClass, setCabinClass] = useState('ECONOMY');
+  const [cabinClass, setCabinClass] = useState(initialSearch?.cabinClass ?? 'ECONOMY');
+  // ±days around the dates to search as well, exact dates as default
+  const [flexibleDays, setFlexibleDays] = useState(Number(initialSearch?.flexibleDays ?? 0));
+  // radius (km) to search other airports in as well, chosen airports only as default
+  const [nearbyKm, setNearbyKm] = useState(Number(initialSearch?.nearbyKm ?? 0));
+
+  // backend field errors by field name, cleared once the user edits that field
+  const [errors, setErrors] = useState({});
+  useEffect(() => {
+    setErrors(Object.fromEntries(fieldErrors.map(e => [e.field, e.message])));
+  }, [fieldErrors]);
+
+  // clear the error of a field when its value changes
+  const clearError = (field) => {
+    if (!errors[field]) return;
+    setErrors(prev => {
+      const next = { ...prev };
+      delete next[field];
+      return next;
+    });
+  };
+
+  // error message shown below an input
+  const renderError = (field) => errors[field] && (
+    <div className="field-error" role="alert">{errors[field]}</div>
+  );
 
   // airport autocomplete states
-  const [originSuggestions, setOriginSuggestions] = useState([]); 
-  const [destinationSuggestions, setDestinationSuggestions] = useState([]); 
+  // suggestions by airport input: 'origin', 'destination' or e.g. 'leg-1-origin' for a multi-city leg
+  const [suggestions, setSuggestions] = useState({}); 
   const [activeInput, setActiveInput] = useState(null);
+  const setSuggestionsFor = (type, list) => setSuggestions(prev => ({ ...prev, [type]: list }));
   
   // react ref - timeout for debouncing API calls to prevent numerous requests
   const debounceTimeout = useRef(null); 
@@ -40,21 +89,61 @@ const FlightSearchForm = ({ onSearch, loading }) => {
     if (!departureDate) return getTodayDate();
     return departureDate >= getTodayDate() ? departureDate : getTodayDate();
   };
+  // update a field of a multi-city leg
+  const updateLeg = (index, field, value) => {
+    setLegs(prev => prev.map((leg, i) => i === index ? { ...leg, [field]: value } : leg));
+    clearError(`legs[${index}].${field}`);
+  };
+
+  // add a leg that starts at the destination of the last one
+  const addLeg = () => {
+    setLegs(prev => [...prev, createLeg(prev.at(-1)?.locationArrival ?? '')]);
+  };
+
+  // remove a leg, keeping at least the minimum number
+  const removeLeg = (index) => {
+    setLegs(prev => prev.filter((_, i) => i !== index));
+    // errors of the following legs no longer match their position
+    setErrors({});
+  };
+
+  // field of the request that an airport input fills, e.g. 'locationDeparture' or 'legs[1].locationArrival'
+  const getAirportField = (type) => {
+    const legMatch = type.match(/^leg-(\d+)-(origin|destination)$/);
+    const field = (legMatch ? legMatch[2] : type) === 'origin' ? 'locationDeparture' : 'locationArrival';
+    return legMatch ? { legIndex: Number(legMatch[1]), field } : { legIndex: null, field };
+  };
+
+  // set the value of an airport input, and whether it is an airport or a city
+  // typed codes are airports, so a code such as OSL only stands for its city when picked as one
+  const setAirportValue = (type, value, locationType = 'airport') => {
+    const { legIndex, field } = getAirportField(type);
+    if (legIndex !== null) updateLeg(legIndex, field, value);
+    else {
+      if (type === 'origin') {
+        setOrigin(value);
+        setOriginType(locationType);
+      } else {
+        setDestination(value);
+        setDestinationType(locationType);
+      }
+      clearError(field);
+    }
+  };
+
   // handle airport input field changes with debounced API calls
   // value: the current input
-  // type: origin or destination to identify which field is updated 
+  // type: origin, destination or a multi-city leg's input to identify which field is updated 
   const handleAirportInputChange = (value, type) => {
     // update the state based on input 
-    if (type === 'origin') setOrigin(value);
-    else setDestination(value);
+    setAirportValue(type, value);
 
     // clear any existing timeout to implement debouncing
     if (debounceTimeout.current) clearTimeout(debounceTimeout.current);
     
     // no search if input is less than 2 characters 
     if (value.length < 2) {
-      if (type === 'origin') setOriginSuggestions([]);
-      else setDestinationSuggestions([]);
+      setSuggestionsFor(type, []);
       return;
     }
 
@@ -65,13 +154,11 @@ const FlightSearchForm = ({ onSearch, loading }) => {
         const response = await fetch(`http://localhost:2800/airport-search?keyword=${value}`);
         const data = await response.json();
         // update suggestions based on what typed in the input field 
-        if (type === 'origin') setOriginSuggestions(data.data || []);
-        else setDestinationSuggestions(data.data || []);
+        setSuggestionsFor(type, data.data || []);
       } catch (error) {
         console.error("Failed to fetch airport suggestions:", error);
         // clear suggestions on error to prevent showing stale data
-        if (type === 'origin') setOriginSuggestions([]);
-        else setDestinationSuggestions([]);
+        setSuggestionsFor(type, []);
       }
     }, 300);
   };
@@ -79,23 +166,54 @@ const FlightSearchForm = ({ onSearch, loading }) => {
   // handle airport suggestion selection from dropdown menu 
   // suggestion - the selected airport suggestion 
   // iatacode - the IATA code of the selected airport
-  // type - origin or destination 
+  // type - origin, destination or a multi-city leg's input
   const handleSuggestionClick = (suggestion, type) => {
-    if (type === 'origin') {
-      // set origin to selected airport iata code 
-      setOrigin(suggestion.iataCode); 
-      // clear suggestions dropdown
-      setOriginSuggestions([]); 
-    } else {
-      // set destination to selected airport iata code
-      setDestination(suggestion.iataCode); 
-      // clear suggestions dropdown
-      setDestinationSuggestions([]); 
-    }
+    // set the input to selected airport iata code 
+    setAirportValue(type, suggestion.iataCode, suggestion.type === 'city' ? 'city' : 'airport'); 
+    // clear suggestions dropdown
+    setSuggestionsFor(type, []); 
     // hide all suggestions 
     setActiveInput(null); 
   };
 
+  // airport input with autocomplete drop-down
+  // type - origin, destination or a multi-city leg's input; label - text above the input
+  const renderAirportInput = (type, label, value) => {
+    const { legIndex, field } = getAirportField(type);
+    const errorField = legIndex !== null ? `legs[${legIndex}].${field}` : field;
+    const typeSuggestions = suggestions[type] || [];
+    return (
+      <div className={`form-group autocomplete-container ${errors[errorField] ? 'has-error' : ''}`}>
+        <label>{label}</label>
+        <input 
+          type="text" 
+          value={value} 
+          onChange={(e) => handleAirportInputChange(e.target.value, type)} 
+          onFocus={() => setActiveInput(type)} 
+          required 
+          // disable browser autocomplete 
+          autoComplete="off" 
+        />
+        {renderError(errorField)}
+        {/* show airport suggestions dropdown given this input is seleced */}
+        {activeInput === type && typeSuggestions.length > 0 && (
+          <ul className="suggestions-list">
+            {typeSuggestions.map((s) => (
+              <li 
+                key={`${s.type}-${s.iataCode}-${s.name}`} 
+                // a city code searches all of its airports
+                className={s.type === 'city' ? 'city-suggestion' : ''}
+                onClick={() => handleSuggestionClick(s, type)}
+              >
+                {s.displayName}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
   // effect to handle clicks outside the form to close suggestions dropdown
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -119,6 +237,11 @@ const FlightSearchForm = ({ onSearch, loading }) => {
     if (newTripType === 'oneway') {
       // clear arrival date for one-way trips
       setArrivalDate(''); 
+      clearError('arrival');
+    }
+    // return trips allow fewer flexible days, see flexibleDayOptions
+    if (newTripType === 'return' && flexibleDayOptions.find(option => option.value === flexibleDays)?.oneWayOnly) {
+      setFlexibleDays(Math.max(...flexibleDayOptions.filter(option => !option.oneWayOnly).map(option => option.value)));
     }
   };
   // handle form submission - validate form data and calls the onSearch callback with search parameters
@@ -126,6 +249,18 @@ const FlightSearchForm = ({ onSearch, loading }) => {
   const handleSubmit = (e) => {
     // prevent default behaviour, which is reloading the page, form submission behavior
     e.preventDefault(); 
+
+    // multi-city trips send their legs instead of a single route
+    if (tripType === 'multicity') {
+      onSearch({
+        legs,
+        adults: adults.toString(),
+        children: children.toString(),
+        infants: infants.toString(),
+        cabinClass: cabinClass
+      });
+      return;
+    }
     
     // call parent component's search handler with formatted search data
     onSearch({
@@ -133,14 +268,24 @@ const FlightSearchForm = ({ onSearch, loading }) => {
       locationDeparture: origin, 
       // destination airport iata code
       locationArrival: destination, 
+      // 'city' for a city picked from the suggestions, searched with all of its airports
+      locationDepartureType: originType,
+      locationArrivalType: destinationType,
       // departure date in YYYY-MM-DD format
       departure: departureDate, 
       // return date only for round trips
       arrival: tripType === 'return' ? arrivalDate : '', 
       // num of passengers 
       adults: adults.toString(), 
+      // num of children and lap infants
+      children: children.toString(),
+      infants: infants.toString(),
       // selected cabin class 
-      cabinClass: cabinClass 
+      cabinClass: cabinClass,
+      // ±days for the calendar of lowest CO2 and price
+      flexibleDays: flexibleDays,
+      // radius for other airports near the origin and destination
+      nearbyKm: nearbyKm
     });
   };
 
@@ -153,99 +298,88 @@ const FlightSearchForm = ({ onSearch, loading }) => {
           <select value={tripType} onChange={(e) => handleTripTypeChange(e.target.value)}>
             <option value="return">Return</option>
             <option value="oneway">One Way</option>
+            <option value="multicity">Multi-city</option>
           </select>
         </div>
       </div>
 
+      {/* one flight per row for multi-city trips */}
+      {tripType === 'multicity' && (
+        <div className="multi-city-legs">
+          {legs.map((leg, index) => (
+            <div key={index} className="multi-city-leg">
+              <div className="leg-number">Flight {index + 1}</div>
+              {renderAirportInput(`leg-${index}-origin`, '◉ Origin', leg.locationDeparture)}
+              {renderAirportInput(`leg-${index}-destination`, '⚲ Destination', leg.locationArrival)}
+              <div className={`form-group ${errors[`legs[${index}].departure`] ? 'has-error' : ''}`}>
+                <label>🛫 Date</label>
+                <input 
+                  type="date" 
+                  value={leg.departure} 
+                  onChange={(e) => updateLeg(index, 'departure', e.target.value)} 
+                  // prevent selecting a date before the previous flight
+                  min={index > 0 && legs[index - 1].departure > getTodayDate() ? legs[index - 1].departure : getTodayDate()} 
+                  required 
+                />
+                {renderError(`legs[${index}].departure`)}
+              </div>
+              {/* keep at least the minimum number of flights */}
+              {legs.length > multiCityLegLimits.min && (
+                <button type="button" className="remove-leg-btn" onClick={() => removeLeg(index)} title="Remove this flight">×</button>
+              )}
+            </div>
+          ))}
+          {renderError('legs')}
+          {legs.length < multiCityLegLimits.max && (
+            <button type="button" className="add-leg-btn" onClick={addLeg}>+ Add flight</button>
+          )}
+        </div>
+      )}
+
       {/* origin airport input */}
-      <div className="form-group autocomplete-container">
-        <label>◉ Origin</label>
-        <input 
-          type="text" 
-          value={origin} 
-          onChange={(e) => handleAirportInputChange(e.target.value, 'origin')} 
-          onFocus={() => setActiveInput('origin')} 
-          required 
-          // disable browser autocomplete 
-          autoComplete="off" 
-        />
-        {/* show airport suggestions dropdown given origin input is seleced */}
-        {activeInput === 'origin' && originSuggestions.length > 0 && (
-          <ul className="suggestions-list">
-            {originSuggestions.map((s) => (
-              <li 
-                key={`${s.iataCode}-${s.name}`} 
-                onClick={() => handleSuggestionClick(s, 'origin')}
-              >
-                {s.displayName}
-              </li>
-            ))}
-          </ul>
-        )}
-      </div>
+      {tripType !== 'multicity' && renderAirportInput('origin', '◉ Origin', origin)}
 
       {/* destination airport input*/}
-      <div className="form-group autocomplete-container">
-        <label>⚲ Destination</label>
-        <input 
-          type="text" 
-          value={destination} 
-          onChange={(e) => handleAirportInputChange(e.target.value, 'destination')} 
-          onFocus={() => setActiveInput('destination')} 
-          required 
-          // disable browser autocomplete
-          autoComplete="off" 
-        />
-        {/* show airport suggestions given destination input is active */}
-        {activeInput === 'destination' && destinationSuggestions.length > 0 && (
-          <ul className="suggestions-list">
-            {destinationSuggestions.map((s) => (
-              <li 
-                key={`${s.iataCode}-${s.name}`} 
-                onClick={() => handleSuggestionClick(s, 'destination')}
-              >
-                {s.displayName}
-              </li>
-            ))}
-          </ul>
-        )}
-      </div>
+      {tripType !== 'multicity' && renderAirportInput('destination', '⚲ Destination', destination)}
 
       {/* departure date */}
-      <div className="form-group">
-        <label>🛫 Departure Date</label>
-        <div className="date-input-container">
-          <input 
-            type="date" 
-            value={departureDate} 
-            onChange={(e) => setDepartureDate(e.target.value)} 
-            // prevent selecting dates before today
-            min={getTodayDate()} 
-            required 
-          />
-          {/* clear button for departure date */}
-          {departureDate && (
-            <button 
-              type="button" 
-              className="clear-date-btn"
-              onClick={() => setDepartureDate('')}
-              title="Clear departure date"
-            >
-              ×
-            </button>
-          )}
+      {tripType !== 'multicity' && (
+        <div className={`form-group ${errors.departure ? 'has-error' : ''}`}>
+          <label>🛫 Departure Date</label>
+          <div className="date-input-container">
+            <input 
+              type="date" 
+              value={departureDate} 
+              onChange={(e) => { setDepartureDate(e.target.value); clearError('departure'); }} 
+              // prevent selecting dates before today
+              min={getTodayDate()} 
+              required 
+            />
+            {/* clear button for departure date */}
+            {departureDate && (
+              <button 
+                type="button" 
+                className="clear-date-btn"
+                onClick={() => setDepartureDate('')}
+                title="Clear departure date"
+              >
+                ×
+              </button>
+            )}
+          </div>
+          {renderError('departure')}
         </div>
-      </div>
+      )}
 
       {/* return date */}
       {tripType === 'return' && (
-        <div className="form-group">
+        <div className={`form-group ${errors.arrival ? 'has-error' : ''}`}>
           <label>🛬 Return Date</label>
           <div className="date-input-container">
             <input 
               type="date" 
               value={arrivalDate} 
-              onChange={(e) => setArrivalDate(e.target.value)} 
+              onChange={(e) => { setArrivalDate(e.target.value); clearError('arrival'); }} 
               // prevent selecting return date before departure date
               min={getMinReturnDate()} 
               // enabled only when return trip type is selected
@@ -263,27 +397,89 @@ const FlightSearchForm = ({ onSearch, loading }) => {
               </button>
             )}
           </div>
+          {renderError('arrival')}
+        </div>
+      )}
+
+      {/* flexible dates, not available for multi-city trips */}
+      {tripType !== 'multicity' && (
+        <div className={`form-group ${errors.flexibleDays ? 'has-error' : ''}`}>
+          <label>📅 Flexibility</label>
+          <div className="select-wrapper">
+            <select value={flexibleDays} onChange={(e) => { setFlexibleDays(Number(e.target.value)); clearError('flexibleDays'); }}>
+              {flexibleDayOptions.map(option => (
+                <option key={option.value} value={option.value} disabled={option.oneWayOnly && tripType === 'return'}>
+                  {option.label}{option.oneWayOnly && tripType === 'return' ? ' (one-way only)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          {renderError('flexibleDays')}
+        </div>
+      )}
+
+      {/* nearby airports, not available for multi-city trips */}
+      {tripType !== 'multicity' && (
+        <div className={`form-group ${errors.nearbyKm ? 'has-error' : ''}`}>
+          <label>📍 Nearby Airports</label>
+          <div className="select-wrapper">
+            <select value={nearbyKm} onChange={(e) => { setNearbyKm(Number(e.target.value)); clearError('nearbyKm'); }}>
+              {nearbyAirportOptions.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {renderError('nearbyKm')}
         </div>
       )}
 
       {/* num of travellers (adults) */}
-      <div className="form-group">
-        <label>👤 Travellers</label>
+      <div className={`form-group ${errors.adults ? 'has-error' : ''}`}>
+        <label>👤 Adults</label>
         <input 
           type="number" 
           value={adults} 
-          onChange={(e) => setAdults(e.target.value)} 
+          onChange={(e) => { setAdults(e.target.value); clearError('adults'); clearError('infants'); }} 
           min="1" 
-          max="4"
+          max={maxSeatedPassengers - (parseInt(children) || 0)}
           required 
         />
+        {renderError('adults')}
+      </div>
+
+      {/* num of children with their own seat */}
+      <div className={`form-group ${errors.children ? 'has-error' : ''}`}>
+        <label>🧒 Children (2-11)</label>
+        <input 
+          type="number" 
+          value={children} 
+          onChange={(e) => { setChildren(e.target.value); clearError('children'); }} 
+          min="0" 
+          max={maxSeatedPassengers - (parseInt(adults) || 1)}
+        />
+        {renderError('children')}
+      </div>
+
+      {/* num of infants, each on an adult's lap */}
+      <div className={`form-group ${errors.infants ? 'has-error' : ''}`}>
+        <label>👶 Infants on lap</label>
+        <input 
+          type="number" 
+          value={infants} 
+          onChange={(e) => { setInfants(e.target.value); clearError('infants'); }} 
+          min="0" 
+          max={parseInt(adults) || 1}
+        />
+        {renderError('infants')}
       </div>
 
       {/* cabin class selection */}
-      <div className="form-group">
+      <div className={`form-group ${errors.cabinClass ? 'has-error' : ''}`}>
         <label>💺 Cabin Class</label>
         <div className="select-wrapper">
-          <select value={cabinClass} onChange={(e) => setCabinClass(e.target.value)}>
+          <select value={cabinClass} onChange={(e) => { setCabinClass(e.target.value); clearError('cabinClass'); }}>
             {cabinClassOptions.map(option => (
               <option key={option.value} value={option.value}>
                 {option.label}
@@ -291,6 +487,7 @@ const FlightSearchForm = ({ onSearch, loading }) => {
             ))}
           </select>
         </div>
+        {renderError('cabinClass')}
       </div>
 
       {/* submit button and show loading state */}
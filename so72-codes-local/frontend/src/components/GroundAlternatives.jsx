@@ -0,0 +1,85 @@
+// GroundAlternatives component - compares flying with the rail and coach alternatives of the route, one way per passenger
+
+import React from 'react';
+import { getCO2EmissionForClass, formatDuration, parseDuration } from '../utils/helpers';
+
+// icon and name of each ground transport mode from the backend
+const GROUND_MODES = {
+  rail: { icon: '🚆', label: 'Train' },
+  coach: { icon: '🚌', label: 'Coach' },
+};
+
+// alternatives - rail and coach options from the backend, fastest first
+// typicalEmissions - typical flight emissions of the route by cabin class (grams), used for the flight
+// flights - flight offers, for the fastest outbound flight and a CO2 fallback if there is no typical value
+const GroundAlternatives = ({ alternatives, typicalEmissions, flights, cabinClass, route = '', co2Label = 'CO₂' }) => {
+  // no render without an alternative within the time threshold
+  if (!alternatives?.length) return null;
+
+  // CO2 of flying one way: the typical flight of the route, otherwise the lowest outbound flight
+  const outboundItineraries = flights.map(flight => flight.itineraries[0]).filter(Boolean);
+  const typicalCo2 = typicalEmissions && getCO2EmissionForClass({ emissionsGramsPerPax: typicalEmissions }, cabinClass);
+  const outboundCo2s = outboundItineraries.map(itinerary => parseFloat(getCO2EmissionForClass(itinerary, cabinClass))).filter(co2 => co2 > 0);
+  const flightCo2 = typicalCo2 ? parseFloat(typicalCo2) : (outboundCo2s.length > 0 ? Math.min(...outboundCo2s) : null);
+  // fastest outbound flight, airport to airport
+  const outboundDurations = outboundItineraries.map(itinerary => parseDuration(itinerary.duration)).filter(duration => duration > 0);
+  const flightDuration = outboundDurations.length > 0 ? Math.min(...outboundDurations) : null;
+
+  const rows = [
+    { key: 'flight', icon: '✈️', label: 'Flight', co2: flightCo2, durationMinutes: flightDuration, detail: typicalCo2 ? 'typical flight' : 'lowest flight' },
+    ...alternatives.map(option => ({
+      key: option.mode,
+      icon: GROUND_MODES[option.mode]?.icon || '🚉',
+      label: GROUND_MODES[option.mode]?.label || option.mode,
+      co2: option.emissionsGramsPerPax / 1000,
+      durationMinutes: option.durationMinutes,
+      detail: option.changes > 0 ? `${option.changes} change${option.changes > 1 ? 's' : ''}` : 'direct',
+      source: option.emissionFactorSource
+    }))
+  ];
+  const maxCo2 = Math.max(...rows.map(row => row.co2 || 0));
+  // lowest-CO2 ground option, for the saving headline
+  const greenest = alternatives.reduce((best, option) => option.emissionsGramsPerPax < best.emissionsGramsPerPax ? option : best);
+  const saving = flightCo2 ? flightCo2 - greenest.emissionsGramsPerPax / 1000 : null;
+
+  return (
+    <div className="ground-alternatives">
+      <h3>
+        {route && <div className="ground-alternatives-route">{route}, one way per passenger</div>}
+        Flying vs {alternatives.map(option => (GROUND_MODES[option.mode]?.label || option.mode).toLowerCase()).join(' or ')}
+      </h3>
+      {rows.map(row => (
+        <div key={row.key} className={`ground-alternative-row ${row.key}`}>
+          <span className="icon">{row.icon}</span>
+          <div className="ground-alternative-details">
+            <div>
+              <strong>{row.label}</strong>
+              {row.durationMinutes != null && ` · ${formatDuration(row.durationMinutes)}`}
+              <span className="ground-alternative-detail"> ({row.detail})</span>
+            </div>
+            {row.co2 != null ? (
+              <div className="ground-alternative-bar-row" title={row.source}>
+                <div className="ground-alternative-track">
+                  <div className="ground-alternative-bar" style={{ width: `${maxCo2 > 0 ? row.co2 / maxCo2 * 100 : 0}%` }} />
+                </div>
+                <span>{row.co2.toFixed(1)} kg {co2Label}</span>
+              </div>
+            ) : (
+              <div className="ground-alternative-detail">No {co2Label} data</div>
+            )}
+          </div>
+        </div>
+      ))}
+      {saving > 0 && (
+        <div className="ground-alternatives-saving">
+          Taking the {(GROUND_MODES[greenest.mode]?.label || greenest.mode).toLowerCase()} saves about <strong>{saving.toFixed(0)} kg</strong> of {co2Label} ({(saving / flightCo2 * 100).toFixed(0)}%) per passenger
+        </div>
+      )}
+      <div className="ground-alternatives-note">
+        Station-to-station times; flight times exclude getting to and through the airport.
+      </div>
+    </div>
+  );
+};
+
+export default GroundAlternatives;
@@ -1,5 +1,6 @@
 // SearchHistory component - shows a a list of the user's recent flight searches
 import React from 'react';
+import { getSearchRoute, formatTravellers } from '../utils/helpers';
 
 // history is an array of previous search objects from localStorage
 // onSearchAgain - callback function to trigger a new search
@@ -22,20 +23,23 @@ const SearchHistory = ({ history, onSearchAgain }) => {
             // trigger new search
             onClick={() => onSearchAgain(item)} 
           >
-            {/* show origin to destination */}
+            {/* show origin to destination, with every stop of a multi-city trip */}
             <div className="history-route">
-              <span className="iata-code">{item.locationDeparture}</span>
-              <span className="arrow">→</span>
-              <span className="iata-code">{item.locationArrival}</span>
+              {getSearchRoute(item).map((code, codeIndex) => (
+                <React.Fragment key={codeIndex}>
+                  {codeIndex > 0 && <span className="arrow">→</span>}
+                  <span className="iata-code">{code}</span>
+                </React.Fragment>
+              ))}
             </div>
 
             
             <div className="history-details">
               {/* show departure dates */}
-              <span>{new Date(item.departure).toLocaleDateString()}</span>
+              <span>{new Date(item.legs?.[0]?.departure ?? item.departure).toLocaleDateString()}</span>
 
               {/* shop the number of travelers */}
-              <span>{item.adults} Traveller(s)</span>
+              <span>{formatTravellers(item)}</span>
             </div>
           </div>
         ))}
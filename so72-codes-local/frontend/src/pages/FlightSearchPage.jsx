@@ -14,30 +14,48 @@ import Co2Equivalents from '../components/Co2Equivalents';
 import Co2SavingsInfographics from '../components/Co2SavingsInfographics';
 import PersonalCarbonBudget from '../components/PersonalCarbonBudget';
 import FlightSearchForm from '../components/FlightSearchForm'; 
+import FlexibleDatesCalendar from '../components/FlexibleDatesCalendar';
+import GroundAlternatives from '../components/GroundAlternatives';
+import ClimateMetricSettings from '../components/ClimateMetricSettings';
+import CurrencySettings from '../components/CurrencySettings';
 // import util constatns and util helpers 
-import { cabinClassOptions } from '../utils/constants';
-import { getCO2EmissionForClass, getPriceForClass, getFlightDuration, getFlightKey, formatDuration } from '../utils/helpers';
+import { cabinClassOptions, searchErrorMessages, radiativeForcingLimits, noAllianceOption } from '../utils/constants';
+import { CABIN_EMISSIONS_KEYS, getCO2EmissionForClass, getCO2IntensityForClass, getPriceForClass, getFlightDuration, getFlightKey, formatDuration, getSearchRoute, mergeEmissionsUpdates, readServerSentEvents, getClimateFactor, getCo2Label, scaleEmissions, applyClimateFactor, applyCurrency, convertPrice, isPricedIn, formatPrice, getPriceScopeLabel, fitRangeToBounds, getFlightAirlines, getConnections } from '../utils/helpers';
 
 const FlightSearchPage = () => {
   // flight states:
-  // all flights from Amadeus or Duffel flight search offers API
-  const [flights, setFlights] = useState([]);
+  // all flights from Amadeus or Duffel flight search offers API, with CO2 emissions as calculated by the backend
+  const [rawFlights, setFlights] = useState([]);
   // loading 
   const [loading, setLoading] = useState(false);
-  // error message 
-  const [error, setError] = useState('');
+  // error of the last search as { message, code, retryable, providersTried }, or null
+  const [error, setError] = useState(null);
+  // non-fatal problems of the last search, e.g. NO_EMISSIONS_DATA
+  const [warnings, setWarnings] = useState([]);
+  // lowest CO2 and price per date pair of a flexible-date search, or null
+  const [rawDateMatrix, setDateMatrix] = useState(null);
+  // airport pairs searched for a city code or nearby airports, as [{ locationDeparture, locationArrival, offerCount, error }]
+  const [airportPairs, setAirportPairs] = useState(null);
+  // rail and coach alternatives of a one-way/return route within the backend's time threshold
+  const [groundAlternatives, setGroundAlternatives] = useState([]);
+  // field errors from the backend's request validation
+  const [fieldErrors, setFieldErrors] = useState([]);
+  // search parameters of the last search, to pre-fill the search form
+  const [lastSearch, setLastSearch] = useState(null);
   // to see if search performed 
   const [searchPerformed, setSearchPerformed] = useState(false);
   // user's chosen cabin class
   const [searchedCabinClass, setSearchedCabinClass] = useState('ECONOMY');
+  // travellers of the last search as { adults, children, infants }, for the CO2 of the whole group
+  const [searchedPassengers, setSearchedPassengers] = useState({ adults: 1, children: 0, infants: 0 });
   // typical CO2 data from Google TIM API
-  const [typicalEmissions, setTypicalEmissions] = useState(null);
-  // to display title for search route
+  const [rawTypicalEmissions, setTypicalEmissions] = useState(null);
+  // data source and model version of the typical emissions
+  const [typicalEmissionsProvenance, setTypicalEmissionsProvenance] = useState(null);
+  // to display title for search route, e.g. FRA → OSL or FRA → OSL → CPH for multi-city trips
   const [searchTitle, setSearchTitle] = useState('');
-  // origin airport for searching 
-  const [searchedOrigin, setSearchedOrigin] = useState('');
-  // destination airport for searching 
-  const [searchedDestination, setSearchedDestination] = useState('');
+  // streaming request of the search in progress, aborted when a new search starts
+  const searchAbortController = useRef(null);
 
   // filter and sort states
   // sort by 
@@ -50,6 +68,15 @@ const FlightSearchPage = () => {
   const [co2Range, setCo2Range] = useState([0, 1000]);
   // num of stops filter
   const [stopsFilter, setStopsFilter] = useState('any');
+  // bounds the price, duration, CO2 and layover filters were last fitted to, or null until a search has flights
+  const filterBounds = useRef(null);
+  // operating airlines, alliances and connection airports that the user has unticked, as codes
+  // flights with a segment operated by such an airline or alliance, or connecting there, are hidden
+  const [excludedAirlines, setExcludedAirlines] = useState([]);
+  const [excludedAlliances, setExcludedAlliances] = useState([]);
+  const [excludedConnections, setExcludedConnections] = useState([]);
+  // longest layover allowed (in minutes)
+  const [maxLayover, setMaxLayover] = useState(1440);
 
   // interaction states
   // current chart view, which is either overview or distribution
@@ -71,9 +98,61 @@ const FlightSearchPage = () => {
   // to track expandable search form 
   const [showSearchForm, setShowSearchForm] = useState(false);
 
+  // climate metric of all emission values: CO2 only, or CO2e with a radiative forcing multiplier
+  // kept in localStorage, so it applies to every later search
+  const [climateMetric, setClimateMetric] = useState(() =>
+    JSON.parse(localStorage.getItem('climateMetric')) || { metric: 'CO2', multiplier: radiativeForcingLimits.default }
+  );
+  // currency all prices are shown in, also kept in localStorage
+  const [displayCurrency, setDisplayCurrency] = useState(() => localStorage.getItem('displayCurrency') || 'EUR');
+  // exchange rates table from the backend, null until loaded or if it is unavailable
+  const [exchangeRates, setExchangeRates] = useState(null);
+
   // prevent multiple search initialisations
   const searchInitialized = useRef(false);
 
+  // remember the climate metric for the next visit
+  useEffect(() => {
+    localStorage.setItem('climateMetric', JSON.stringify(climateMetric));
+  }, [climateMetric]);
+
+  // remember the display currency for the next visit
+  useEffect(() => {
+    localStorage.setItem('displayCurrency', displayCurrency);
+  }, [displayCurrency]);
+
+  // load the exchange rates once, prices stay in the airline's currency without them
+  useEffect(() => {
+    fetch('http://localhost:2800/exchange-rates')
+      .then(response => response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`)))
+      .then(setExchangeRates)
+      .catch(error => console.error('Failed to fetch exchange rates:', error));
+  }, []);
+
+  // emission values in the chosen climate metric and prices in the display currency, used by everything
+  // below instead of the raw CO2 and provider prices
+  const climateFactor = getClimateFactor(climateMetric);
+  const co2Label = getCo2Label(climateMetric);
+  // offer prices are the total for all travellers of the search, which every price label says
+  const priceScope = getPriceScopeLabel(searchedPassengers);
+  const flights = useMemo(
+    () => applyCurrency(applyClimateFactor(rawFlights, climateFactor), displayCurrency, exchangeRates),
+    [rawFlights, climateFactor, displayCurrency, exchangeRates]
+  );
+  const typicalEmissions = useMemo(() => scaleEmissions(rawTypicalEmissions, climateFactor), [rawTypicalEmissions, climateFactor]);
+  const dateMatrix = useMemo(() => rawDateMatrix && {
+    ...rawDateMatrix,
+    cells: rawDateMatrix.cells.map(cell => {
+      // the lowest price keeps its own currency if it cannot be converted
+      const lowestPrice = cell.lowestPrice != null ? convertPrice(cell.lowestPrice, cell.currency, displayCurrency, exchangeRates) : null;
+      return {
+        ...cell,
+        lowestCo2GramsPerPax: cell.lowestCo2GramsPerPax != null ? cell.lowestCo2GramsPerPax * climateFactor : null,
+        ...(lowestPrice != null && { lowestPrice, currency: displayCurrency })
+      };
+    })
+  }, [rawDateMatrix, climateFactor, displayCurrency, exchangeRates]);
+
   // scroll event listener for scroll-to-top button visibility
   useEffect(() => {
     const handleScroll = () => {
@@ -103,10 +182,6 @@ const FlightSearchPage = () => {
     const searchDataString = sessionStorage.getItem('currentFlightSearch');
     if (searchDataString) {
       const searchData = JSON.parse(searchDataString);
-      // set display title and route info for infographics
-      setSearchTitle(`${searchData.locationDeparture} → ${searchData.locationArrival}`);
-      setSearchedOrigin(searchData.locationDeparture);
-      setSearchedDestination(searchData.locationArrival);
       searchInitialized.current = true;
       // trigger the actual flight search
       handleSearch(searchData);
@@ -114,45 +189,138 @@ const FlightSearchPage = () => {
   }, []);
 
   // function to search for flights 
+  // results stream in from the backend: flight cards are shown as soon as offers arrive,
+  // and their CO2 values fill in as each batch of emissions is calculated
   const handleSearch = async (searchData) => {
+    // stop the previous search, so its results do not mix with this one
+    searchAbortController.current?.abort();
+    const abortController = new AbortController();
+    searchAbortController.current = abortController;
+
     // reset state for new search
     setLoading(true);
-    setError('');
+    setError(null);
+    setWarnings([]);
+    setDateMatrix(null);
+    setAirportPairs(null);
+    setGroundAlternatives([]);
+    setTypicalEmissions(null);
+    setTypicalEmissionsProvenance(null);
+    setFieldErrors([]);
+    setLastSearch(searchData);
+    // set display title and route info for infographics
+    setSearchTitle(getSearchRoute(searchData).join(' → '));
     setFlights([]);
+    // the filter ranges start over from the bounds of the new results
+    filterBounds.current = null;
+    // airlines and airports of the last search may not be in this one
+    setExcludedAirlines([]);
+    setExcludedAlliances([]);
+    setExcludedConnections([]);
+    setSearchedCabinClass(searchData.cabinClass);
+    setSearchedPassengers({ adults: searchData.adults, children: searchData.children ?? 0, infants: searchData.infants ?? 0 });
     setSearchPerformed(true);
 
     try {
-      // call backend flight search endpoint
-      const response = await fetch('http://localhost:2800/date', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(searchData)
-      });
+      // call backend streaming flight search endpoint
+      let response;
+      try {
+        response = await fetch('http://localhost:2800/date/stream', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(searchData),
+          signal: abortController.signal
+        });
+      } catch {
+        if (abortController.signal.aborted) return;
+        setError({ message: 'Network error.', code: 'NETWORK_ERROR', retryable: true, providersTried: [] });
+        return;
+      }
 
       // handle API errors if there is any 
       if (!response.ok) {
-        const errData = await response.json();
-        throw new Error(errData.error || 'Server error.');
+        const errData = await response.json().catch(() => ({}));
+        // invalid search parameters: open the search form and show the errors next to the inputs
+        if (errData.fieldErrors?.length > 0) {
+          setFieldErrors(errData.fieldErrors);
+          setShowSearchForm(true);
+        }
+        setError({
+          message: errData.error || 'Server error.',
+          code: errData.code || null,
+          retryable: errData.retryable ?? true,
+          providersTried: errData.providersTried || []
+        });
+        return;
       }
 
-      // process response
-      const data = await response.json();
-      const flights = data.offers || [];
-
-      // update state with flight data
-      setFlights(flights);
-      // CO2 data from Google TIM API
-      setTypicalEmissions(data.typicalEmissions || null);
-      setSearchedCabinClass(searchData.cabinClass);
+      // process the events of the search as they arrive (see backend/server.js)
+      let finished = false;
+      await readServerSentEvents(response, (event, data) => {
+        switch (event) {
+          case 'offers':
+            // show the flight cards straight away, their CO2 values follow
+            if (data.offers.length === 0) break;
+            setFlights(prev => [...prev, ...data.offers]);
+            setLoading(false);
+            break;
+          case 'typicalEmissions':
+            // CO2 data from Google TIM API
+            setTypicalEmissions(data.typicalEmissions || null);
+            setTypicalEmissionsProvenance(data.typicalEmissionsProvenance || null);
+            break;
+          case 'emissions':
+            setFlights(prev => mergeEmissionsUpdates(prev, data.offers));
+            break;
+          case 'result':
+            // the complete search response replaces what has streamed in so far
+            finished = true;
+            setFlights(data.offers || []);
+            setTypicalEmissions(data.typicalEmissions || null);
+            setTypicalEmissionsProvenance(data.typicalEmissionsProvenance || null);
+            setWarnings(data.warnings || []);
+            setDateMatrix(data.dateMatrix || null);
+            setAirportPairs(data.airportPairs || null);
+            setGroundAlternatives(data.groundAlternatives || []);
+            break;
+          case 'error':
+            finished = true;
+            setError({
+              message: data.error || 'Server error.',
+              code: data.code || null,
+              retryable: data.retryable ?? true,
+              providersTried: data.providersTried || []
+            });
+            break;
+          default:
+            break;
+        }
+      });
+      // the connection closed before the search finished
+      if (!finished) setError({ message: 'The search was interrupted.', code: 'NETWORK_ERROR', retryable: true, providersTried: [] });
     } catch (err) {
-      setError(err.message);
+      // a newer search replaced this one
+      if (abortController.signal.aborted) return;
+      setError({ message: err.message, code: null, retryable: true, providersTried: [] });
     } finally {
-      setLoading(false);
+      if (searchAbortController.current === abortController) setLoading(false);
     }
   };
 
+  // providers that failed before the search gave up
+  const failedProviders = error ? error.providersTried.filter(attempt => attempt.code) : [];
+  // the backend could not get emissions for any flight, which may be fixed by searching again
+  const hasNoEmissionsData = warnings.some(warning => warning.code === 'NO_EMISSIONS_DATA');
+
+  // flights whose emissions are still being calculated while the search streams
+  const pendingFlights = useMemo(() => flights.filter(f => f.emissionsGramsPerPax === undefined), [flights]);
+
+  // currency all prices are compared in: the display currency, or while the exchange rates are
+  // unavailable the airline's currency of the first flight
+  const priceCurrency = exchangeRates ? displayCurrency : (flights[0]?.price?.currency || displayCurrency);
+
   // filter flights to include only the ones with valid CO2 emissions 
-  const flightsWithCO2 = useMemo(() =>
+  const flightsWithValidCO2 = useMemo(() =>
     flights.filter(f =>
       // has complete emissions?
       f.emissionsCompleteness &&
@@ -163,6 +331,10 @@ const FlightSearchPage = () => {
     ),
     [flights, searchedCabinClass]
   );
+  // flights compared by the charts, filters and sorting, whose prices are all in the same currency
+  const flightsWithCO2 = useMemo(() => flightsWithValidCO2.filter(f => isPricedIn(f, priceCurrency)), [flightsWithValidCO2, priceCurrency]);
+  // flights in a currency missing from the rates table, listed separately since their price cannot be compared
+  const unconvertedFlights = useMemo(() => flightsWithValidCO2.filter(f => !isPricedIn(f, priceCurrency)), [flightsWithValidCO2, priceCurrency]);
 
   // calculate min/max values for filter ranges based on flight data
   const { minPrice, maxPrice, minDuration, maxDuration, minCo2, maxCo2 } = useMemo(() => {
@@ -190,22 +362,60 @@ const FlightSearchPage = () => {
     };
   }, [flightsWithCO2, searchedCabinClass]);
 
-  // update filter ranges when flight data changes
+  // fit the filter ranges to the flight data whenever it changes, e.g. as emissions stream in,
+  // keeping any range the user has narrowed
   useEffect(() => {
     if (flightsWithCO2.length > 0) {
-      // set filter ranges to have available flight data
-      setPriceRange([minPrice, maxPrice]);
-      setDurationRange([minDuration, maxDuration]);
-      setCo2Range([minCo2, maxCo2]);
+      const previous = filterBounds.current;
+      setPriceRange(range => fitRangeToBounds(range, previous?.price, [minPrice, maxPrice]));
+      setDurationRange(range => fitRangeToBounds(range, previous?.duration, [minDuration, maxDuration]));
+      setCo2Range(range => fitRangeToBounds(range, previous?.co2, [minCo2, maxCo2]));
+      filterBounds.current = { ...filterBounds.current, price: [minPrice, maxPrice], duration: [minDuration, maxDuration], co2: [minCo2, maxCo2] };
     }
   }, [minPrice, maxPrice, minDuration, maxDuration, minCo2, maxCo2, flightsWithCO2.length]);
 
+  // options of the airline, alliance and connection airport filters as [{ value, label, count }] by label,
+  // where count is the number of flights with that operating airline, alliance or connection
+  const { airlineOptions, allianceOptions, connectionOptions, longestLayover } = useMemo(() => {
+    const options = { airlines: new Map(), alliances: new Map(), connections: new Map() };
+    // count each flight once per option
+    const addOption = (group, value, label) => {
+      const option = options[group].get(value) || { value, label, count: 0 };
+      options[group].set(value, { ...option, count: option.count + 1 });
+    };
+    flightsWithCO2.forEach(f => {
+      getFlightAirlines(f, true).forEach(airline => addOption('airlines', airline.code, airline.name));
+      const alliances = new Set(f.itineraries.flatMap(itinerary => itinerary.segments.map(segment => segment.operating?.alliance || noAllianceOption)));
+      alliances.forEach(alliance => addOption('alliances', alliance, alliance === noAllianceOption ? 'No alliance' : alliance));
+      new Set(getConnections(f).map(connection => connection.airport)).forEach(airport => addOption('connections', airport, airport));
+    });
+    const sorted = (group) => [...options[group].values()].sort((a, b) => a.label.localeCompare(b.label));
+    return {
+      airlineOptions: sorted('airlines'),
+      allianceOptions: sorted('alliances'),
+      connectionOptions: sorted('connections'),
+      longestLayover: Math.ceil(Math.max(0, ...flightsWithCO2.flatMap(f => getConnections(f).map(connection => connection.minutes))))
+    };
+  }, [flightsWithCO2]);
+
+  // allow every layover when the flight data changes, unless the user has lowered the limit
+  useEffect(() => {
+    if (flightsWithCO2.length > 0) {
+      const previous = filterBounds.current?.layover;
+      setMaxLayover(limit => fitRangeToBounds([0, limit], previous, [0, longestLayover])[1]);
+      filterBounds.current = { ...filterBounds.current, layover: [0, longestLayover] };
+    }
+  }, [longestLayover, flightsWithCO2.length]);
+
   // sort flights by CO2, price, or duration
   const sortedFlights = useMemo(() => {
     return [...flightsWithCO2].sort((a, b) => {
       switch (sortBy) {
         case 'co2_lowest': return (parseFloat(getCO2EmissionForClass(a, searchedCabinClass)) || 0) - (parseFloat(getCO2EmissionForClass(b, searchedCabinClass)) || 0);
         case 'co2_highest': return (parseFloat(getCO2EmissionForClass(b, searchedCabinClass)) || 0) - (parseFloat(getCO2EmissionForClass(a, searchedCabinClass)) || 0);
+        // flights without a known distance go last
+        case 'co2_intensity_lowest': return (getCO2IntensityForClass(a, searchedCabinClass) ?? Infinity) - (getCO2IntensityForClass(b, searchedCabinClass) ?? Infinity);
+        case 'co2_intensity_highest': return (getCO2IntensityForClass(b, searchedCabinClass) ?? -Infinity) - (getCO2IntensityForClass(a, searchedCabinClass) ?? -Infinity);
         case 'price_lowest': return (getPriceForClass(a, searchedCabinClass) || 0) - (getPriceForClass(b, searchedCabinClass) || 0);
         case 'price_highest': return (getPriceForClass(b, searchedCabinClass) || 0) - (getPriceForClass(a, searchedCabinClass) || 0);
         case 'duration_shortest': return (getFlightDuration(a) || 0) - (getFlightDuration(b) || 0);
@@ -226,13 +436,20 @@ const FlightSearchPage = () => {
 
     // check stops filter, which is any, 0, 1, 2+
     let stopsPass = stopsFilter === 'any' || (stopsFilter === '2' ? stops >= 2 : stops === parseInt(stopsFilter));
+    // check airline, alliance and connection filters, which hide flights with any unticked option
+    const segments = f.itineraries.flatMap(itinerary => itinerary.segments);
+    const connections = getConnections(f);
+    const airlinePass = !getFlightAirlines(f, true).some(airline => excludedAirlines.includes(airline.code));
+    const alliancePass = !segments.some(segment => excludedAlliances.includes(segment.operating?.alliance || noAllianceOption));
+    const connectionPass = !connections.some(connection => excludedConnections.includes(connection.airport));
+    const layoverPass = connections.every(connection => connection.minutes <= maxLayover);
 
     // apply all filters 
     return price >= priceRange[0] && price <= priceRange[1] &&
       duration >= durationRange[0] && duration <= durationRange[1] &&
       co2 >= co2Range[0] && co2 <= co2Range[1] &&
-      stopsPass;
-  }), [sortedFlights, searchedCabinClass, priceRange, durationRange, co2Range, stopsFilter]);
+      stopsPass && airlinePass && alliancePass && connectionPass && layoverPass;
+  }), [sortedFlights, searchedCabinClass, priceRange, durationRange, co2Range, stopsFilter, excludedAirlines, excludedAlliances, excludedConnections, maxLayover]);
 
   // calculate CO2 differences between cabin classes for CO2 savings infographics
   const { businessCo2Difference, firstCo2Difference } = useMemo(() => {
@@ -355,7 +572,7 @@ const FlightSearchPage = () => {
   };
 
   // calculate the number of flights being excluded due to lack of g CO2 data
-  const flightsWithoutCO2Count = flights.length - flightsWithCO2.length;
+  const flightsWithoutCO2Count = flights.length - flightsWithValidCO2.length - pendingFlights.length;
 
   return (
     <main>
@@ -376,6 +593,11 @@ const FlightSearchPage = () => {
         <h1>Flight Results for {searchTitle}</h1>
       </div>
 
+      {/* climate metric of every emission value on the page */}
+      <ClimateMetricSettings climateMetric={climateMetric} setClimateMetric={setClimateMetric} />
+      {/* display currency of every price on the page */}
+      <CurrencySettings displayCurrency={displayCurrency} setDisplayCurrency={setDisplayCurrency} exchangeRates={exchangeRates} />
+
       {/* search form when expanded */}
       {showSearchForm && (
         <div className="expandable-search-form">
@@ -388,7 +610,7 @@ const FlightSearchPage = () => {
               ×
             </button>
           </div>
-          <FlightSearchForm onSearch={handleSearch} loading={loading} />
+          <FlightSearchForm onSearch={handleSearch} loading={loading} initialSearch={lastSearch} fieldErrors={fieldErrors} />
         </div>
       )}
 
@@ -396,9 +618,13 @@ const FlightSearchPage = () => {
       <div className={`d3-tooltip ${tooltip.visible ? 'visible' : ''}`} style={{ left: tooltip.x, top: tooltip.y }}>
         {tooltip.content && <>
           <div><strong>Flights: </strong>{tooltip.content.flightNumbers}</div>
-          <div><strong>Price:</strong> €{tooltip.content.price.toFixed(2)}</div>
+          {tooltip.content.airlines && <div><strong>Airlines: </strong>{tooltip.content.airlines}</div>}
+          <div><strong>Price:</strong> {formatPrice(tooltip.content.price, tooltip.content.currency)} ({priceScope})</div>
           <div><strong>Duration:</strong> {formatDuration(tooltip.content.duration)}</div>
-          <div><strong>CO₂: </strong>{tooltip.content.co2Range[0] === tooltip.content.co2Range[1] ? `${tooltip.content.co2Range[0]} kg` : `${tooltip.content.co2Range[0]} - ${tooltip.content.co2Range[1]} kg`}</div>
+          <div><strong>{co2Label}: </strong>{tooltip.content.co2Range[0] === tooltip.content.co2Range[1] ? `${tooltip.content.co2Range[0]} kg` : `${tooltip.content.co2Range[0]} - ${tooltip.content.co2Range[1]} kg`}</div>
+          {/* CO2 per passenger-km, if the chart knows the distance */}
+          {tooltip.content.estimated && <div><em>{co2Label} estimated, no data from Google</em></div>}
+          {tooltip.content.intensity > 0 && <div><strong>{co2Label} per km: </strong>{tooltip.content.intensity.toFixed(0)} g/pax-km</div>}
         </>}
       </div>
 
@@ -411,23 +637,52 @@ const FlightSearchPage = () => {
         </div>
       )}
 
-      {/* error message display */}
-      {error && <p className="error-message">Error: {error}</p>}
+      {/* error message display, targeted by error code, with the providers that were tried */}
+      {error && (
+        <div className="error-message" role="alert">
+          <p>{searchErrorMessages[error.code] || `Error: ${error.message}`}</p>
+          {failedProviders.length > 0 && (
+            <p className="error-details">Tried: {failedProviders.map(attempt => `${attempt.provider} (${attempt.code.toLowerCase().replace(/_/g, ' ')})`).join(', ')}</p>
+          )}
+          {error.retryable && lastSearch && (
+            <button className="retry-btn" onClick={() => handleSearch(lastSearch)}>Try again</button>
+          )}
+        </div>
+      )}
 
       {/* main content that can only shown after search is complete and not loading */}
-      {!loading && searchPerformed && (
+      {!loading && searchPerformed && !error && (
         <>
+          {/* calendar of the lowest CO2 and price around the chosen dates for flexible-date searches */}
+          {dateMatrix && (
+            <FlexibleDatesCalendar
+              dateMatrix={dateMatrix}
+              selectedDeparture={lastSearch.departure}
+              selectedArrival={lastSearch.arrival}
+              onSelectDates={(departure, arrival) => handleSearch({ ...lastSearch, departure, arrival })}
+              co2Label={co2Label}
+              priceScope={priceScope}
+            />
+          )}
+
           {/* no flights found message */}
           {flights.length === 0 ? (
             <div className="no-results-message">
               <h3>No Flights Found</h3>
               <p>Your search returned no results. Please check your inputs or try different dates.</p>
             </div>
-          ) : flightsWithCO2.length === 0 ? (
+          ) : flightsWithValidCO2.length === 0 && pendingFlights.length === 0 ? (
             /* no flights with CO2 data message */
             <div className="no-results-message">
               <h3>No Flights with CO₂ Data Found</h3>
-              <p>We found {flights.length} flights, but none had emissions data. Try another route or cabin class.</p>
+              {hasNoEmissionsData ? (
+                <>
+                  <p>We found {flights.length} flights. {searchErrorMessages.NO_EMISSIONS_DATA}</p>
+                  <button className="retry-btn" onClick={() => handleSearch(lastSearch)}>Try again</button>
+                </>
+              ) : (
+                <p>We found {flights.length} flights, but none had emissions data. Try another route or cabin class.</p>
+              )}
             </div>
           ) : (
             /* main results layout with charts and flight list */
@@ -444,7 +699,7 @@ const FlightSearchPage = () => {
                   {/* distribution bar chart view - shows  comparison accoss cabin classes*/}
                   {activeView === 'distribution' && (
                     <div className={`left-column-content-wrapper ${isFlightCardHovered ? 'tabs-hidden' : ''}`}>
-                      <DistributionChart hoveredFlight={hoveredFlightData} typicalEmissions={typicalEmissions} selectedCabinClass={searchedCabinClass} />
+                      <DistributionChart hoveredFlight={hoveredFlightData} typicalEmissions={typicalEmissions} typicalEmissionsProvenance={typicalEmissionsProvenance} selectedCabinClass={searchedCabinClass} co2Label={co2Label} />
                       {(() => {
                         // show typical cabin class savings when nothing is hovered
                         if (!hoveredFlightData && typicalEmissions) {
@@ -456,10 +711,10 @@ const FlightSearchPage = () => {
                           const typicalBusinessDiff = (economyEmissions && businessEmissions) ? businessEmissions - economyEmissions : null;
                           const typicalFirstDiff = (economyEmissions && firstEmissions && firstEmissions !== businessEmissions) ? firstEmissions - economyEmissions : null;
 
-                          return <Co2SavingsInfographics businessDifference={typicalBusinessDiff} firstDifference={typicalFirstDiff} />;
+                          return <Co2SavingsInfographics businessDifference={typicalBusinessDiff} firstDifference={typicalFirstDiff} co2Label={co2Label} />;
                         }
                         // show user chosen flight cabin class savings when flight is hovered
-                        return <Co2SavingsInfographics businessDifference={businessCo2Difference} firstDifference={firstCo2Difference} />;
+                        return <Co2SavingsInfographics businessDifference={businessCo2Difference} firstDifference={firstCo2Difference} co2Label={co2Label} />;
                       })()}
                     </div>
                   )}
@@ -467,7 +722,7 @@ const FlightSearchPage = () => {
                   {/* overview chart view - shows scatterplot with infographics */}
                   {activeView === 'overview' && (
                     <div className='left-column-content-wrapper correlation-tab'>
-                      <OverviewChart flights={filteredFlights} cabinClass={searchedCabinClass} hoveredFlightIds={hoveredFlightIds} onDotClick={handleDotClick} onHover={handlePointHover} onLeave={handlePointLeave} />
+                      <OverviewChart flights={filteredFlights} cabinClass={searchedCabinClass} co2Label={co2Label} currency={priceCurrency} priceScope={priceScope} hoveredFlightIds={hoveredFlightIds} onDotClick={handleDotClick} onHover={handlePointHover} onLeave={handlePointLeave} />
                       {(() => {
                         // determine what data to show in infographics 
                         // hovered flight vs typical (default)
@@ -475,7 +730,7 @@ const FlightSearchPage = () => {
 
                         // use typical emissions data given user chosen flight is not hovered
                         if (!infographicData && typicalEmissions) {
-                          const typicalCO2Grams = typicalEmissions[searchedCabinClass.toLowerCase()];
+                          const typicalCO2Grams = typicalEmissions[CABIN_EMISSIONS_KEYS[searchedCabinClass]];
                           if (typicalCO2Grams) {
                             // convert grams to kg
                             const typicalCO2Kg = typicalCO2Grams / 1000;
@@ -509,9 +764,24 @@ const FlightSearchPage = () => {
                                 co2_min={defaultData.co2_min}
                                 co2_max={defaultData.co2_max}
                                 isTypical={defaultData.isTypical}
-                                route={`${searchedOrigin} → ${searchedDestination}`}
+                                route={searchTitle}
+                                co2Label={co2Label}
                               />
                             </div>
+                            {/* flying vs train or coach, if the route has a ground alternative */}
+                            {groundAlternatives.length > 0 && <>
+                              <div className="dotted-divider"></div>
+                              <div className="ground-alternatives-section">
+                                <GroundAlternatives
+                                  alternatives={groundAlternatives}
+                                  typicalEmissions={typicalEmissions}
+                                  flights={flights}
+                                  cabinClass={searchedCabinClass}
+                                  route={searchTitle}
+                                  co2Label={co2Label}
+                                />
+                              </div>
+                            </>}
                             <div className="dotted-divider"></div>
                             {/* right side: personal carbon budget  */}
                             <div className="personal-budget-section">
@@ -521,7 +791,8 @@ const FlightSearchPage = () => {
                                 hoveredFlight={hoveredFlightData}
                                 cabinClass={searchedCabinClass}
                                 isTypical={defaultData.isTypical}
-                                route={`${searchedOrigin} → ${searchedDestination}`}
+                                route={searchTitle}
+                                co2Label={co2Label}
                               />
                             </div>
                           </div>
@@ -539,10 +810,10 @@ const FlightSearchPage = () => {
               {/* right column: filters and flight results */}
               <div className="right-column">
                 {/* filter controls */}
-                <FilterControls {...{ priceRange, setPriceRange, minPrice, maxPrice, durationRange, setDurationRange, minDuration, maxDuration, co2Range, setCo2Range, minCo2, maxCo2, stopsFilter, setStopsFilter }} />
+                <FilterControls {...{ priceRange, setPriceRange, minPrice, maxPrice, durationRange, setDurationRange, minDuration, maxDuration, co2Range, setCo2Range, minCo2, maxCo2, stopsFilter, setStopsFilter, airlineOptions, excludedAirlines, setExcludedAirlines, allianceOptions, excludedAlliances, setExcludedAlliances, connectionOptions, excludedConnections, setExcludedConnections, maxLayover, setMaxLayover, longestLayover, co2Label, currency: priceCurrency, priceScope }} />
 
                 {/* flight results list with sort by option */}
-                <FlightList {...{ flights: filteredFlights, sortBy, setSortBy, searchedCabinClass, hoveredFlightIds, handleFlightCardEnter, handleFlightCardLeave, flightsWithCO2Count: flightsWithCO2.length, flightsWithoutCO2Count, selectedFlightId }} />
+                <FlightList {...{ flights: filteredFlights, sortBy, setSortBy, searchedCabinClass, hoveredFlightIds, handleFlightCardEnter, handleFlightCardLeave, flightsWithCO2Count: flightsWithCO2.length, flightsWithoutCO2Count, selectedFlightId, airportPairs, searchedPassengers, pendingFlights, unconvertedFlights, currency: priceCurrency, co2Label }} />
               </div>
             </div>
           )}
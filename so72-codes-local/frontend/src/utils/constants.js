@@ -5,4 +5,75 @@ export const cabinClassOptions = [
   { value: 'PREMIUM_ECONOMY', label: 'Premium Economy' },
   { value: 'BUSINESS', label: 'Business' },
   { value: 'FIRST', label: 'First Class' },
-];
\ No newline at end of file
+];
+
+// messages for the error codes of the backend (see backend/errors.js)
+// NETWORK_ERROR is set by the frontend when the backend cannot be reached at all
+export const searchErrorMessages = {
+  VALIDATION_FAILED: 'Please correct the highlighted search fields.',
+  INVALID_ROUTE: 'The flight providers do not recognise this route. Please check the airport codes.',
+  QUOTA_EXCEEDED: 'The flight providers are receiving too many searches right now. Please try again in a minute.',
+  PROVIDER_UNAVAILABLE: 'The flight providers are not available right now. Please try again shortly.',
+  TIMEOUT: 'The flight providers took too long to answer. Please try again.',
+  NO_EMISSIONS_DATA: 'CO₂ emissions data is temporarily unavailable for these flights.',
+  NETWORK_ERROR: 'Could not reach the VisCO2Fly server. Please check your connection and try again.',
+};
+
+// ±days around the chosen dates for flexible-date searches, as accepted by the backend
+export const flexibleDayOptions = [
+  { value: 0, label: 'Exact dates' },
+  { value: 1, label: '± 1 day' },
+  { value: 2, label: '± 2 days' },
+  // a return trip with ±3 days would be more date combinations than the backend searches
+  { value: 3, label: '± 3 days', oneWayOnly: true },
+];
+
+// radius (km) around the origin and destination to search other airports in, as accepted by the backend
+export const nearbyAirportOptions = [
+  { value: 0, label: 'Chosen airports only' },
+  { value: 50, label: '+ within 50 km' },
+  { value: 100, label: '+ within 100 km' },
+  { value: 150, label: '+ within 150 km' },
+  { value: 200, label: '+ within 200 km' },
+];
+
+// num of seated passengers (adults and children) in one search, as accepted by the backend
+// infants travel on an adult's lap, so there can be at most one per adult
+export const maxSeatedPassengers = 9;
+
+// num of flights in a multi-city search, as accepted by the backend
+export const multiCityLegLimits = { min: 2, max: 6 };
+
+// data sources of emissions, as reported by the backend (see backend/emissions.js getProvenance)
+export const emissionsSourceLabels = {
+  TIM_EMISSIONS: 'Google Travel Impact Model, modelled for this flight',
+  EASA: 'EASA environmental label, via Google Travel Impact Model',
+  TIM_TYPICAL: 'Google Travel Impact Model, typical flight on this route',
+  LOCAL_ESTIMATE: 'Local estimate from distance, aircraft type and cabin class (DEFRA factors)',
+  UNAVAILABLE: 'No data for some flights',
+};
+
+// climate metric of all emission values: CO2 only as calculated by Google, or CO2e including
+// non-CO2 aviation effects (contrails, NOx, water vapour) through a radiative forcing multiplier
+export const climateMetricOptions = [
+  { value: 'CO2', label: 'CO₂ only' },
+  { value: 'CO2E', label: 'CO₂e (incl. non-CO₂ effects)' },
+];
+
+// radiative forcing multiplier applied to CO2 for CO2e, 1.9 by default as commonly used in corporate reporting
+export const radiativeForcingLimits = { min: 1, max: 5, step: 0.1, default: 1.9 };
+
+// currencies prices can be shown in, converted with the backend's exchange rates table
+export const displayCurrencyOptions = [
+  { value: 'EUR', label: 'EUR (€)' },
+  { value: 'USD', label: 'USD ($)' },
+  { value: 'GBP', label: 'GBP (£)' },
+  { value: 'CHF', label: 'CHF' },
+  { value: 'NOK', label: 'NOK (kr)' },
+  { value: 'SEK', label: 'SEK (kr)' },
+  { value: 'DKK', label: 'DKK (kr)' },
+  { value: 'PLN', label: 'PLN (zł)' },
+];
+
+// alliance filter option of airlines that belong to no alliance
+export const noAllianceOption = 'NONE';
@@ -25,13 +25,16 @@ export const formatStops = (stops) => {
   return `${stops} stops`;
 };
 
+// emissions key of each cabin class in the backend's emissions data, e.g. emissionsGramsPerPax.premiumEconomy
+export const CABIN_EMISSIONS_KEYS = { ECONOMY: 'economy', PREMIUM_ECONOMY: 'premiumEconomy', BUSINESS: 'business', FIRST: 'first' };
+
 // get CO2 emissions for a chosen cabin class 
 export const getCO2EmissionForClass = (flight, selectedClass) => {
   // check if flight has valid co2 emissions 
   if (!flight.emissionsGramsPerPax) return null;
 
   // convert cabin class format
-  const classKey = selectedClass.toLowerCase().replace('_', '');
+  const classKey = CABIN_EMISSIONS_KEYS[selectedClass];
   const emission = flight.emissionsGramsPerPax[classKey];
 
   // validate emission value 
@@ -42,6 +45,13 @@ export const getCO2EmissionForClass = (flight, selectedClass) => {
   return null;
 };
 
+// get CO2 intensity in g per passenger-km for a chosen cabin class, or null if the distance or emissions are unknown
+export const getCO2IntensityForClass = (flight, selectedClass) => {
+  if (!flight.emissionsGramsPerPaxKm) return null;
+  const intensity = flight.emissionsGramsPerPaxKm[CABIN_EMISSIONS_KEYS[selectedClass]];
+  return typeof intensity === 'number' && intensity > 0 ? intensity : null;
+};
+
 // get price for a chosen cabin class 
 export const getPriceForClass = (flight, selectedClass) => {
   // check for cabin-specific pricing 
@@ -50,20 +60,8 @@ export const getPriceForClass = (flight, selectedClass) => {
     if (price && !isNaN(parseFloat(price))) return parseFloat(price);
   }
 
-  // search through pricings for matching cabin class
-  // there are different pricings, depending on the conditions of the flight option 
-  if (flight.travelerPricings?.length > 0) {
-    const pricing = flight.travelerPricings.find(tp =>
-      tp.fareDetailsBySegment?.some(fd => fd.cabin === selectedClass)
-    );
-    if (pricing?.price?.total) {
-      // get total price
-      const price = parseFloat(pricing.price.total);
-      if (!isNaN(price)) return price;
-    }
-  }
-
-  // use general flight price as fallback 
+  // total price of the offer for all travelers, which every provider reports
+  // (travelerPricings are not used, since not every provider prices each traveler)
   if (flight.price?.total) {
     const price = parseFloat(flight.price.total);
     if (!isNaN(price)) return price;
@@ -159,4 +157,230 @@ export const parseDuration = (duration) => {
   } catch (error) {z
     return 0;
   }
-};
\ No newline at end of file
+};
+
+// airport codes along a search, e.g. ['FRA', 'OSL', 'CPH'] for a multi-city search FRA → OSL → CPH
+// multi-city searches have legs, one-way and return searches have locationDeparture and locationArrival
+export const getSearchRoute = (search) => {
+  if (search.legs?.length > 0) {
+    return [search.legs[0].locationDeparture, ...search.legs.map(leg => leg.locationArrival)];
+  }
+  return [search.locationDeparture, search.locationArrival];
+};
+
+// true for a return trip, i.e. two itineraries where the second one goes back to where the first one started
+export const isReturnTrip = (flight) => {
+  if (flight.itineraries.length !== 2) return false;
+  const [outbound, inbound] = flight.itineraries;
+  return outbound.segments[0].departure.iataCode === inbound.segments.at(-1).arrival.iataCode &&
+    outbound.segments.at(-1).arrival.iataCode === inbound.segments[0].departure.iataCode;
+};
+
+// label of an itinerary, e.g. 'Return Flight' or 'Flight 2' for a multi-city trip
+export const getItineraryLabel = (flight, index) => {
+  if (isReturnTrip(flight)) return index === 0 ? 'Outbound Flight' : 'Return Flight';
+  return `Flight ${index + 1}`;
+};
+
+// who flies a codeshare segment, e.g. 'Operated by Lufthansa (LH 860)', or null if the marketing airline flies it itself
+// the operating flight number may be unknown, e.g. 'Operated by SAS (SK)'
+export const getOperatedByLabel = (segment) => {
+  const operating = segment.operating;
+  if (!operating?.carrierCode || operating.carrierCode === segment.carrierCode) return null;
+  const flight = `${operating.carrierCode}${operating.number ? ` ${operating.number}` : ''}`;
+  return operating.carrierName ? `Operated by ${operating.carrierName} (${flight})` : `Operated by ${flight}`;
+};
+
+// aircraft of a segment, e.g. 'Airbus A320neo', its code if the name is unknown, or 'N/A'
+export const getAircraftLabel = (segment) => segment.aircraft?.name || segment.aircraft?.code || 'N/A';
+
+// marketing airlines of all segments of a flight as [{ code, name }], in order of first appearance,
+// or the airlines that operate them if operating is true
+// the name falls back to the code if the backend knows no name
+export const getFlightAirlines = (flight, operating = false) => {
+  const airlines = new Map();
+  flight.itineraries.forEach(itinerary => itinerary.segments.forEach(segment => {
+    const carrier = operating && segment.operating?.carrierCode ? segment.operating : segment;
+    if (!airlines.has(carrier.carrierCode)) airlines.set(carrier.carrierCode, carrier.carrierName || carrier.carrierCode);
+  }));
+  return [...airlines].map(([code, name]) => ({ code, name }));
+};
+
+// connections of all legs of a flight as [{ airport, minutes }], where airport is where the
+// passenger lands and minutes the layover until the next segment departs
+export const getConnections = (flight) => flight.itineraries.flatMap(itinerary =>
+  itinerary.segments.slice(0, -1).map((segment, index) => ({
+    airport: segment.arrival.iataCode,
+    minutes: (new Date(itinerary.segments[index + 1].departure.at) - new Date(segment.arrival.at)) / (1000 * 60)
+  }))
+);
+
+// checked bag allowance as text, e.g. '1 checked bag', '23 kg checked bag' or 'No checked bag',
+// or null if the provider does not say
+export const formatCheckedBags = (checkedBags) => {
+  if (!checkedBags) return null;
+  if (checkedBags.quantity === 0) return 'No checked bag';
+  if (checkedBags.quantity) return `${checkedBags.quantity} checked bag${checkedBags.quantity > 1 ? 's' : ''}`;
+  return checkedBags.weight ? `${checkedBags.weight} ${(checkedBags.weightUnit || 'kg').toLowerCase()} checked bag` : null;
+};
+
+// fare conditions of an offer as short texts, e.g. ['Classic', '1 checked bag', 'Non-refundable', '3 seats left'],
+// leaving out what the provider does not say; seats left are only shown when few are left
+export const getFareSummary = (flight) => [
+  flight.fareBrand,
+  formatCheckedBags(flight.checkedBags),
+  flight.refundable === true ? 'Refundable' : flight.refundable === false ? 'Non-refundable' : null,
+  flight.numberOfBookableSeats != null && flight.numberOfBookableSeats <= 4
+    ? `${flight.numberOfBookableSeats} seat${flight.numberOfBookableSeats > 1 ? 's' : ''} left`
+    : null
+].filter(Boolean);
+
+// num of seats of a search; infants travel on an adult's lap without a seat of their own
+export const getSeatedPassengerCount = (search) => (parseInt(search.adults) || 1) + (parseInt(search.children) || 0);
+
+// travellers of a search as text, e.g. '2 adults, 1 child, 1 infant'
+export const formatTravellers = (search) => {
+  const counts = [
+    [parseInt(search.adults) || 1, 'adult', 'adults'],
+    [parseInt(search.children) || 0, 'child', 'children'],
+    [parseInt(search.infants) || 0, 'infant', 'infants'],
+  ];
+  return counts
+    .filter(([count]) => count > 0)
+    .map(([count, singular, plural]) => `${count} ${count === 1 ? singular : plural}`)
+    .join(', ');
+};
+
+// a filter range [low, high] once the bounds of its data change, e.g. while emissions stream in:
+// the new bounds if the range still covered all of the previous bounds (the user has not narrowed it)
+// or there were none, otherwise the user's range clamped to the new bounds
+export const fitRangeToBounds = (range, previousBounds, bounds) => {
+  if (!previousBounds || (range[0] <= previousBounds[0] && range[1] >= previousBounds[1])) return bounds;
+  const clamp = (value) => Math.min(Math.max(value, bounds[0]), bounds[1]);
+  const [low, high] = [clamp(range[0]), clamp(range[1])];
+  return low < high ? [low, high] : bounds;
+};
+
+// what the prices of a search cover, e.g. 'total for 2 adults, 1 infant', since offer prices are always
+// the total for all travellers while CO2 is per passenger
+export const getPriceScopeLabel = (search) => `total for ${formatTravellers(search)}`;
+
+// flights with the emissions that arrived for some of them while a search streams
+// updates: [{ id, emissionsGramsPerPax, availableCabinClasses, emissionsCompleteness, itineraries }] from the backend,
+// where each itinerary carries the emissions of its segments
+export const mergeEmissionsUpdates = (flights, updates) => {
+  const updatesById = new Map(updates.map(update => [update.id, update]));
+  return flights.map(flight => {
+    const update = updatesById.get(flight.id);
+    if (!update) return flight;
+    return {
+      ...flight,
+      ...update,
+      itineraries: flight.itineraries.map((itinerary, index) => ({
+        ...itinerary,
+        ...update.itineraries[index],
+        segments: itinerary.segments.map((segment, segmentIndex) => ({ ...segment, ...update.itineraries[index].segments[segmentIndex] }))
+      }))
+    };
+  });
+};
+
+// read a Server-Sent Events response, calling onEvent(event, data) with the parsed JSON data of each event
+// resolves once the server closes the stream
+export const readServerSentEvents = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+
+    // events are separated by a blank line, and the last one may still be incomplete
+    const rawEvents = buffer.split('\n\n');
+    buffer = rawEvents.pop();
+    rawEvents.forEach(rawEvent => {
+      let event = 'message';
+      const dataLines = [];
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      });
+      if (dataLines.length > 0) onEvent(event, JSON.parse(dataLines.join('\n')));
+    });
+  }
+};
+
+// factor that turns Google's CO2 into the chosen climate metric: 1 for CO2 only, or the
+// radiative forcing multiplier for CO2e
+// climateMetric: { metric: 'CO2' | 'CO2E', multiplier }
+export const getClimateFactor = (climateMetric) => climateMetric.metric === 'CO2E' ? climateMetric.multiplier : 1;
+
+// label of the chosen climate metric, shown next to every emission value
+export const getCo2Label = (climateMetric) => climateMetric.metric === 'CO2E' ? 'CO₂e' : 'CO₂';
+
+// emissions by cabin class (e.g. emissionsGramsPerPax) multiplied by a climate factor,
+// keeping missing emissions as they are
+export const scaleEmissions = (emissions, factor) => emissions && Object.fromEntries(
+  Object.entries(emissions).map(([cabin, value]) => [cabin, value * factor])
+);
+
+// flights with all their emissions (offer, itineraries, segments and per passenger-km) in the chosen climate metric
+export const applyClimateFactor = (flights, factor) => {
+  if (factor === 1) return flights;
+  return flights.map(flight => ({
+    ...flight,
+    emissionsGramsPerPax: scaleEmissions(flight.emissionsGramsPerPax, factor),
+    emissionsGramsPerPaxKm: scaleEmissions(flight.emissionsGramsPerPaxKm, factor),
+    itineraries: flight.itineraries.map(itinerary => ({
+      ...itinerary,
+      emissionsGramsPerPax: scaleEmissions(itinerary.emissionsGramsPerPax, factor),
+      segments: itinerary.segments.map(segment => ({ ...segment, emissionsGramsPerPax: scaleEmissions(segment.emissionsGramsPerPax, factor) }))
+    }))
+  }));
+};
+
+// amount converted between two currencies with a rates table { base, rates: { currency: units per 1 base } },
+// or null if either currency is not in the table
+export const convertPrice = (amount, fromCurrency, toCurrency, exchangeRates) => {
+  if (fromCurrency === toCurrency) return amount;
+  const fromRate = exchangeRates?.rates[fromCurrency];
+  const toRate = exchangeRates?.rates[toCurrency];
+  if (!fromRate || !toRate) return null;
+  return amount / fromRate * toRate;
+};
+
+// flights with all their prices (offer, cabin classes and traveler pricings) in the display currency,
+// keeping the provider's price as originalPrice { total, currency }
+// flights in a currency missing from the rates table keep their own price and currency (see isPricedIn)
+export const applyCurrency = (flights, displayCurrency, exchangeRates) => {
+  if (!exchangeRates) return flights;
+  return flights.map(flight => {
+    const currency = flight.price?.currency;
+    const rate = convertPrice(1, currency, displayCurrency, exchangeRates);
+    if (!currency || currency === displayCurrency || rate === null) return flight;
+    const convert = (amount) => amount == null ? amount : (parseFloat(amount) * rate).toFixed(2);
+    return {
+      ...flight,
+      originalPrice: { total: flight.price.total, currency },
+      price: { ...flight.price, total: convert(flight.price.total), currency: displayCurrency },
+      allCabinPrices: flight.allCabinPrices && Object.fromEntries(Object.entries(flight.allCabinPrices)
+        .map(([cabin, cabinPrice]) => [cabin, { ...cabinPrice, price: convert(cabinPrice.price) }])),
+      travelerPricings: flight.travelerPricings?.map(pricing => ({
+        ...pricing,
+        price: pricing.price && { ...pricing.price, total: convert(pricing.price.total), currency: displayCurrency }
+      }))
+    };
+  });
+};
+
+// whether the price of a flight is in the given currency, so it can be compared with other prices in it
+export const isPricedIn = (flight, currency) => !flight.price?.currency || flight.price.currency === currency;
+
+// price with its currency symbol, e.g. €123.45 or NOK 1,234.50
+export const formatPrice = (amount, currency, decimals = 2) => new Intl.NumberFormat('en-GB', {
+  style: 'currency',
+  currency: currency || 'EUR',
+  minimumFractionDigits: decimals,
+  maximumFractionDigits: decimals,
+}).format(amount);
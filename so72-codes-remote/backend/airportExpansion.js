@@ -0,0 +1,106 @@
+/**
+ * Airport expansion of a one-way/return search:
+ * a code picked as a city, such as LON or OSL, stands for all of its airports, and an optional radius
+ * (nearbyKm) adds the airports within that distance. Any other code is searched as the airport it is,
+ * even if it is also a city code, e.g. OSL for Oslo airport without Torp. The search is run for every origin and destination
+ * airport pair and the results are merged into one response, whose offers keep the airports
+ * they fly from and to.
+ */
+
+const providers = require('./providers');
+const { getEmissionsWarnings } = require('./emissions');
+const { airportLocationCache } = require('./cache');
+
+// max num of airports searched for an origin or destination, so a search runs at most 9 airport pairs
+const MAX_AIRPORTS_PER_LOCATION = 3;
+
+// airport codes to search for an origin or destination code, main airports first
+// locationType: 'city' if the code was picked as a city, otherwise it is an airport
+async function resolveAirports(code, locationType, nearbyKm) {
+  const isCity = locationType === 'city';
+  if (!isCity && !(nearbyKm > 0)) return [code];
+  const cacheKey = JSON.stringify({ code, isCity, nearbyKm: nearbyKm || 0 });
+  const cached = airportLocationCache.get(cacheKey);
+  if (cached) return cached;
+
+  let airports;
+  try {
+    const locationAirports = await providers.getLocationAirports(code);
+    // an airport whose code is also a city code only stands for itself
+    airports = isCity ? locationAirports : locationAirports.filter(airport => airport.iataCode === code);
+    // nearby airports are searched around the main airport of the location
+    const centre = airports.find(airport => airport.latitude != null && airport.longitude != null);
+    if (nearbyKm > 0 && centre) {
+      const nearbyAirports = await providers.searchNearbyAirports(centre, nearbyKm);
+      airports = [...airports, ...nearbyAirports];
+    }
+  } catch (error) {
+    // the code is searched as it is if its airports cannot be looked up
+    console.error(`Failed to look up the airports of ${code}:`, error.message);
+    return [code];
+  }
+
+  const codes = [...new Set(airports.map(airport => airport.iataCode))].slice(0, MAX_AIRPORTS_PER_LOCATION);
+  // unknown codes are searched as they are
+  const result = codes.length > 0 ? codes : [code];
+  airportLocationCache.set(cacheKey, result);
+  return result;
+}
+
+// origin and destination airport pairs of a one-way/return search, e.g. [['LHR', 'OSL'], ['LGW', 'OSL']]
+async function getAirportPairs({ locationDeparture, locationArrival, locationDepartureType, locationArrivalType, nearbyKm }) {
+  const [origins, destinations] = await Promise.all([
+    resolveAirports(locationDeparture, locationDepartureType, nearbyKm),
+    resolveAirports(locationArrival, locationArrivalType, nearbyKm)
+  ]);
+  const pairs = origins.flatMap(origin => destinations
+    .filter(destination => destination !== origin)
+    .map(destination => [origin, destination]));
+  return pairs.length > 0 ? pairs : [[locationDeparture, locationArrival]];
+}
+
+// offers of one airport pair with ids that are unique across all pairs, since offer ids are only
+// unique within one search
+function prefixOfferIds(locationDeparture, locationArrival, offers) {
+  return offers.map(offer => ({ ...offer, id: `${locationDeparture}-${locationArrival}-${offer.id}` }));
+}
+
+// merge the responses of every airport pair into one search response
+// pairResults: [{ locationDeparture, locationArrival, result, error }] with either result or error
+// returns the usual response fields plus airportPairs: [{ locationDeparture, locationArrival, offerCount, error }]
+function mergeAirportPairResults(pairResults) {
+  const succeeded = pairResults.filter(pair => pair.result);
+  // the search only fails if no airport pair could be searched
+  if (succeeded.length === 0) throw pairResults[0].error;
+
+  const typicalPair = succeeded.find(pair => pair.result.typicalEmissions);
+  const offers = succeeded.flatMap(({ locationDeparture, locationArrival, result }) =>
+    prefixOfferIds(locationDeparture, locationArrival, result.offers));
+  // each provider attempt once, e.g. a provider that failed for several pairs
+  const providersTried = [...new Map(pairResults
+    .flatMap(pair => pair.result?.providersTried || pair.error.providersTried || [])
+    .map(attempt => [`${attempt.provider}|${attempt.code}`, attempt])).values()];
+
+  return {
+    offers,
+    // typical emissions of the first pair with data, which is the one between the main airports
+    typicalEmissions: typicalPair?.result.typicalEmissions ?? null,
+    typicalEmissionsProvenance: typicalPair?.result.typicalEmissionsProvenance ?? null,
+    provider: [...new Set(succeeded.map(pair => pair.result.provider))].join(', '),
+    providersTried,
+    // Google not answering for one pair is kept, since the merged offers cannot tell
+    warnings: getEmissionsWarnings(offers, succeeded.filter(({ result }) => result.warnings.some(warning => warning.code === 'EMISSIONS_SERVICE_ERROR')).length),
+    airportPairs: pairResults.map(({ locationDeparture, locationArrival, result, error }) => ({
+      locationDeparture,
+      locationArrival,
+      offerCount: result ? result.offers.length : 0,
+      error: error ? error.apiCode || 'INTERNAL_ERROR' : null
+    }))
+  };
+}
+
+module.exports = {
+  getAirportPairs,
+  prefixOfferIds,
+  mergeAirportPairResults,
+};
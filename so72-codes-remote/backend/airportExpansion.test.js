@@ -0,0 +1,85 @@
+// tests of the airport expansion: cities and nearby airports to airport pairs, and merging their results
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const providers = require('./providers');
+const { getAirportPairs, mergeAirportPairResults } = require('./airportExpansion');
+
+// airports as returned by the providers, e.g. Oslo with Gardermoen (OSL) and Torp (TRF)
+const airport = (iataCode, latitude = 60, longitude = 11) => ({ iataCode, name: iataCode, cityName: 'Oslo', latitude, longitude });
+const LOCATIONS = {
+  OSL: [airport('OSL'), airport('TRF', 59.2, 10.3)],
+  LON: [airport('LHR'), airport('LGW'), airport('STN'), airport('LTN')],
+  FRA: [airport('FRA', 50, 8.6)],
+};
+
+// stub the airport lookups of the providers; every test looks up its own codes, since the
+// airports of a location stay in the cache between tests
+function stubLookups(nearbyAirports = []) {
+  return {
+    getLocationAirports: mock.method(providers, 'getLocationAirports', async code => LOCATIONS[code] || []),
+    searchNearbyAirports: mock.method(providers, 'searchNearbyAirports', async () => nearbyAirports),
+  };
+}
+
+afterEach(() => mock.restoreAll());
+
+test('searches an airport code as it is, even if it is also a city code', async () => {
+  const { getLocationAirports } = stubLookups();
+
+  const pairs = await getAirportPairs({ locationDeparture: 'FRA', locationArrival: 'OSL', locationArrivalType: 'airport' });
+
+  assert.deepEqual(pairs, [['FRA', 'OSL']]);
+  assert.equal(getLocationAirports.mock.callCount(), 0);
+});
+
+test('expands a code picked as a city to its first airports', async () => {
+  stubLookups();
+
+  const pairs = await getAirportPairs({ locationDeparture: 'LON', locationDepartureType: 'city', locationArrival: 'OSL', locationArrivalType: 'city' });
+
+  assert.deepEqual(pairs, [
+    ['LHR', 'OSL'], ['LHR', 'TRF'],
+    ['LGW', 'OSL'], ['LGW', 'TRF'],
+    ['STN', 'OSL'], ['STN', 'TRF'],
+  ]);
+});
+
+test('adds the airports within nearbyKm of an airport, without the other airports of its city', async () => {
+  const { searchNearbyAirports } = stubLookups([airport('OSL'), airport('RYG', 59.4, 10.8)]);
+
+  const pairs = await getAirportPairs({ locationDeparture: 'FRA', locationArrival: 'OSL', nearbyKm: 100 });
+
+  assert.deepEqual(pairs.filter(([origin]) => origin === 'FRA'), [['FRA', 'OSL'], ['FRA', 'RYG']]);
+  // nearby airports are searched around the airport itself, for the origin and the destination
+  assert.deepEqual(searchNearbyAirports.mock.calls.map(call => call.arguments[0].iataCode).sort(), ['FRA', 'OSL']);
+  assert.ok(searchNearbyAirports.mock.calls.every(call => call.arguments[1] === 100));
+});
+
+test('searches the code as it is if its airports cannot be looked up', async () => {
+  mock.method(providers, 'getLocationAirports', async () => { throw new Error('lookup failed'); });
+
+  const pairs = await getAirportPairs({ locationDeparture: 'PAR', locationDepartureType: 'city', locationArrival: 'OSL' });
+
+  assert.deepEqual(pairs, [['PAR', 'OSL']]);
+});
+
+test('merges the offers of every airport pair and fails only if no pair could be searched', () => {
+  const result = (offerIds) => ({
+    offers: offerIds.map(id => ({ id, emissionsGramsPerPax: { economy: 90000 } })),
+    typicalEmissions: null,
+    provider: 'fixture',
+    providersTried: [{ provider: 'fixture', code: null }],
+    warnings: []
+  });
+  const error = Object.assign(new Error('no flights'), { apiCode: 'PROVIDER_UNAVAILABLE', providersTried: [] });
+
+  const merged = mergeAirportPairResults([
+    { locationDeparture: 'FRA', locationArrival: 'OSL', result: result(['1', '2']) },
+    { locationDeparture: 'FRA', locationArrival: 'TRF', error },
+  ]);
+
+  assert.deepEqual(merged.offers.map(offer => offer.id), ['FRA-OSL-1', 'FRA-OSL-2']);
+  assert.deepEqual(merged.airportPairs.map(pair => pair.error), [null, 'PROVIDER_UNAVAILABLE']);
+  assert.throws(() => mergeAirportPairResults([{ locationDeparture: 'FRA', locationArrival: 'TRF', error }]), error);
+});
@@ -0,0 +1,16 @@
+/**
+ * Date helpers:
+ * calendar arithmetic on YYYY-MM-DD date strings in UTC, shared by the flexible-date search and the
+ * fixture provider, so dates never shift with the server's time zone.
+ */
+
+// add days to a YYYY-MM-DD date string
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+module.exports = {
+  addDays,
+};
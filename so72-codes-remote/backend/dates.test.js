@@ -0,0 +1,16 @@
+// tests of the date helpers
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { addDays } = require('./dates');
+
+test('adds and subtracts days across month and year ends', () => {
+  assert.equal(addDays('2030-01-31', 1), '2030-02-01');
+  assert.equal(addDays('2030-01-01', -1), '2029-12-31');
+  assert.equal(addDays('2028-02-28', 1), '2028-02-29');
+  assert.equal(addDays('2030-03-30', 3), '2030-04-02');
+});
+
+test('keeps the date when no days are added, whatever the time zone of the server', () => {
+  assert.equal(addDays('2030-10-27', 0), '2030-10-27');
+});
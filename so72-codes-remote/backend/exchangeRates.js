@@ -0,0 +1,96 @@
+/**
+ * Exchange rates:
+ * serves the local rates table in ./data/exchangeRates.json, which the frontend uses to show all
+ * prices in one display currency whatever currency each provider returned them in.
+ * The table is refreshed from the European Central Bank reference rates with
+ * `node exchangeRates.js --refresh`, and the server picks up a refreshed table within a minute,
+ * without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+// http client for external API calls
+const axios = require('axios');
+const config = require('./config');
+// timeout, retries and circuit breaker
+const { callUpstream } = require('./resilience');
+
+const RATES_FILE = path.join(__dirname, 'data', 'exchangeRates.json');
+// daily euro reference rates of the ECB, published around 16:00 CET on working days
+const ECB_RATES_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml';
+
+// how often the file is checked for a refreshed table, since the rates change once a day
+const RATES_CHECK_INTERVAL_MS = 60 * 1000;
+
+// table read last, the modification time of the file it was read from and when that was checked
+let cachedTable = null;
+let cachedMtimeMs = 0;
+let checkedAt = 0;
+
+// rates table { base, date, source, rates: { currency: units per 1 base } }
+// re-read only when the file has changed, which is checked at most once per RATES_CHECK_INTERVAL_MS
+function getExchangeRates() {
+  if (cachedTable && Date.now() - checkedAt < RATES_CHECK_INTERVAL_MS) return cachedTable;
+  const { mtimeMs } = fs.statSync(RATES_FILE);
+  if (!cachedTable || mtimeMs !== cachedMtimeMs) {
+    cachedTable = JSON.parse(fs.readFileSync(RATES_FILE, 'utf8'));
+    cachedMtimeMs = mtimeMs;
+  }
+  checkedAt = Date.now();
+  return cachedTable;
+}
+
+// amount in the base currency of the rates table, so that prices in different currencies can be
+// compared, or null if the currency is not in the table
+// rates (optional): rates of a table read once for many amounts, e.g. every offer of a search
+function toBaseCurrency(amount, currency, rates = getExchangeRates().rates) {
+  const rate = rates[currency];
+  return rate ? amount / rate : null;
+}
+
+// parse the ECB daily XML into { date, rates }, the euro itself is not listed so it is added
+function parseEcbRates(xml) {
+  const date = xml.match(/<Cube time=['"]([\d-]+)['"]/)?.[1];
+  const rates = { EUR: 1 };
+  for (const [, currency, rate] of xml.matchAll(/<Cube currency=['"]([A-Z]{3})['"] rate=['"]([\d.]+)['"]/g)) {
+    rates[currency] = parseFloat(rate);
+  }
+  if (!date || Object.keys(rates).length === 1) {
+    throw new Error('ECB response has no exchange rates');
+  }
+  return { date, rates };
+}
+
+// download the latest ECB rates and write them to the rates table
+async function refreshExchangeRates() {
+  const response = await callUpstream('ecb', () => axios.get(ECB_RATES_URL, { responseType: 'text' }));
+  const { date, rates } = parseEcbRates(response.data);
+  const table = {
+    base: 'EUR',
+    date,
+    source: 'European Central Bank euro foreign exchange reference rates',
+    rates
+  };
+  fs.writeFileSync(RATES_FILE, JSON.stringify(table, null, 2) + '\n');
+  return table;
+}
+
+// command line: node exchangeRates.js --refresh
+if (require.main === module && process.argv.includes('--refresh')) {
+  if (config.fixtureMode) {
+    console.error('Exchange rates are not refreshed in fixture mode');
+    process.exit(1);
+  }
+  refreshExchangeRates()
+    .then(table => console.log(`Exchange rates of ${table.date} saved for ${Object.keys(table.rates).length} currencies`))
+    .catch(error => {
+      console.error('Exchange rates could not be refreshed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  getExchangeRates,
+  refreshExchangeRates,
+  toBaseCurrency,
+};
@@ -0,0 +1,100 @@
+/**
+ * Flexible-date search:
+ * runs the same one-way/return search for every departure/return date pair within ±N days of the
+ * chosen dates and summarises each pair as its lowest CO2 and lowest price, which the frontend
+ * shows as a calendar heatmap. Every pair is an ordinary search, so it is cached and coalesced
+ * like one. The calendar is searched for the main airport pair only, and validation rejects
+ * searches with more than MAX_DATE_PAIRS date pairs, so one request runs a bounded num of searches.
+ */
+
+const { addDays } = require('./dates');
+
+// rates table, to find the cheapest offer when providers return different currencies
+const { getExchangeRates, toBaseCurrency } = require('./exchangeRates');
+
+// emissions key of each cabin class in Google Travel Impact Model data
+const CABIN_EMISSIONS_KEYS = { ECONOMY: 'economy', PREMIUM_ECONOMY: 'premiumEconomy', BUSINESS: 'business', FIRST: 'first' };
+
+// max num of date pairs of one flexible-date search, e.g. ±2 days around a return trip is 25
+// but ±3 days would be up to 49
+const MAX_DATE_PAIRS = 25;
+
+// dates within ±flexibleDays of a date, leaving out the ones in the past
+function getDateRange(date, flexibleDays) {
+  const today = new Date().toISOString().split('T')[0];
+  const dates = [];
+  for (let offset = -flexibleDays; offset <= flexibleDays; offset++) {
+    const candidate = addDays(date, offset);
+    if (candidate >= today) dates.push(candidate);
+  }
+  return dates;
+}
+
+// departure and return date pairs within ±flexibleDays of the chosen dates, e.g. [['2025-09-01', '2025-09-08'], ...]
+// one-way searches only vary the departure date and have '' as the return date
+function getDatePairs(departure, arrival, flexibleDays) {
+  const departureDates = getDateRange(departure, flexibleDays);
+  if (!arrival) return departureDates.map(departureDate => [departureDate, '']);
+  const returnDates = getDateRange(arrival, flexibleDays);
+  return departureDates.flatMap(departureDate => returnDates
+    .filter(returnDate => returnDate >= departureDate)
+    .map(returnDate => [departureDate, returnDate]));
+}
+
+// lowest CO2 per passenger (grams, for the cabin class) and lowest price of the offers of one date pair
+// prices are compared in the base currency of the rates table, the lowest one keeps its own currency
+// rates: rates of the table, read once for the whole calendar
+function summariseOffers(offers, cabinClass, rates) {
+  const emissionsKey = CABIN_EMISSIONS_KEYS[cabinClass || 'ECONOMY'];
+  let lowestCo2 = null;
+  let cheapestOffer = null;
+  let cheapestBasePrice = null;
+  offers.forEach(offer => {
+    const co2 = offer.emissionsCompleteness ? offer.emissionsGramsPerPax?.[emissionsKey] : null;
+    if (co2 > 0 && (lowestCo2 === null || co2 < lowestCo2)) lowestCo2 = co2;
+    const basePrice = toBaseCurrency(parseFloat(offer.price?.total), offer.price?.currency, rates);
+    if (basePrice !== null && !isNaN(basePrice) && (!cheapestOffer || basePrice < cheapestBasePrice)) {
+      cheapestOffer = offer;
+      cheapestBasePrice = basePrice;
+    }
+  });
+  return {
+    lowestCo2GramsPerPax: lowestCo2,
+    lowestPrice: cheapestOffer ? parseFloat(cheapestOffer.price.total) : null,
+    currency: cheapestOffer?.price.currency ?? null,
+    offerCount: offers.length
+  };
+}
+
+// lowest CO2 and price for every date pair around the chosen dates
+// values: validated search values with flexibleDays, at most MAX_DATE_PAIRS date pairs (see validation.js);
+// runSearch: function that resolves with the search response for a set of search values
+// returns { departureDates, returnDates, cells: [{ departure, arrival, lowestCo2GramsPerPax, lowestPrice, currency, offerCount, error }] }
+async function buildDateMatrix(values, runSearch) {
+  const { departure, arrival, flexibleDays } = values;
+  const departureDates = getDateRange(departure, flexibleDays);
+  // one-way searches only vary the departure date
+  const returnDates = arrival ? getDateRange(arrival, flexibleDays) : [];
+  const datePairs = getDatePairs(departure, arrival, flexibleDays);
+  console.log(`Flexible-date search over ${datePairs.length} date pairs (±${flexibleDays} days)`);
+  const { rates } = getExchangeRates();
+
+  const cells = await Promise.all(datePairs.map(async ([departureDate, returnDate]) => {
+    const cell = { departure: departureDate, arrival: returnDate || null };
+    try {
+      const result = await runSearch({ ...values, departure: departureDate, arrival: returnDate });
+      return { ...cell, ...summariseOffers(result.offers, values.cabinClass, rates), error: null };
+    } catch (error) {
+      // a failed date pair leaves a gap in the calendar instead of failing the whole search
+      return { ...cell, lowestCo2GramsPerPax: null, lowestPrice: null, currency: null, offerCount: 0, error: error.apiCode || 'INTERNAL_ERROR' };
+    }
+  }));
+
+  return { departureDates, returnDates, cells };
+}
+
+module.exports = {
+  MAX_DATE_PAIRS,
+  getDatePairs,
+  buildDateMatrix,
+};
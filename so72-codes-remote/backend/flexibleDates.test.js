@@ -0,0 +1,69 @@
+// tests of the flexible-date search: date pairs and the calendar of lowest CO2 and price
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { addDays } = require('./dates');
+const { MAX_DATE_PAIRS, getDatePairs, buildDateMatrix } = require('./flexibleDates');
+
+// an offer with the given economy CO2 per passenger (g) and price in EUR
+const createOffer = (co2, price) => ({
+  emissionsCompleteness: true,
+  emissionsGramsPerPax: { economy: co2 },
+  price: { total: String(price), currency: 'EUR' }
+});
+
+test('varies only the departure date of a one-way search', () => {
+  assert.deepEqual(getDatePairs('2030-03-10', '', 1), [['2030-03-09', ''], ['2030-03-10', ''], ['2030-03-11', '']]);
+});
+
+test('pairs every departure date with every return date on or after it', () => {
+  const pairs = getDatePairs('2030-03-10', '2030-03-11', 1);
+
+  assert.equal(pairs.length, 8);
+  assert.ok(pairs.every(([departure, arrival]) => arrival >= departure));
+  assert.ok(!pairs.some(([departure, arrival]) => departure === '2030-03-11' && arrival === '2030-03-10'));
+});
+
+test('leaves out dates in the past', () => {
+  const today = new Date().toISOString().split('T')[0];
+
+  assert.deepEqual(getDatePairs(today, '', 2).map(([departure]) => departure),
+    [today, addDays(today, 1), addDays(today, 2)]);
+});
+
+test('keeps return trips up to ±2 days and one-way trips up to ±3 days within MAX_DATE_PAIRS', () => {
+  assert.equal(getDatePairs('2030-03-10', '2030-03-20', 2).length, MAX_DATE_PAIRS);
+  assert.ok(getDatePairs('2030-03-10', '2030-03-20', 3).length > MAX_DATE_PAIRS);
+  assert.ok(getDatePairs('2030-03-10', '', 3).length <= MAX_DATE_PAIRS);
+});
+
+test('searches every date pair and keeps its lowest CO2 and price', async () => {
+  const searched = [];
+  const runSearch = async (values) => {
+    searched.push(values.departure);
+    return { offers: [createOffer(90000, 200), createOffer(120000, 150)] };
+  };
+
+  const matrix = await buildDateMatrix({ departure: '2030-03-10', arrival: '', flexibleDays: 1, cabinClass: 'ECONOMY' }, runSearch);
+
+  assert.deepEqual(searched.sort(), ['2030-03-09', '2030-03-10', '2030-03-11']);
+  assert.deepEqual(matrix.departureDates, ['2030-03-09', '2030-03-10', '2030-03-11']);
+  assert.deepEqual(matrix.returnDates, []);
+  assert.deepEqual(matrix.cells[0], {
+    departure: '2030-03-09', arrival: null, lowestCo2GramsPerPax: 90000, lowestPrice: 150, currency: 'EUR', offerCount: 2, error: null
+  });
+});
+
+test('leaves a gap for a date pair whose search failed', async () => {
+  const runSearch = async (values) => {
+    if (values.departure === '2030-03-10') throw Object.assign(new Error('no flights'), { apiCode: 'PROVIDER_UNAVAILABLE' });
+    return { offers: [createOffer(90000, 200)] };
+  };
+
+  const matrix = await buildDateMatrix({ departure: '2030-03-10', arrival: '', flexibleDays: 1 }, runSearch);
+
+  const failedCell = matrix.cells.find(cell => cell.departure === '2030-03-10');
+  assert.equal(failedCell.error, 'PROVIDER_UNAVAILABLE');
+  assert.equal(failedCell.lowestPrice, null);
+  assert.equal(matrix.cells.filter(cell => cell.error === null).length, 2);
+});
@@ -0,0 +1,65 @@
+/**
+ * Geographic helpers:
+ * distances between airports from their coordinates ({ latitude, longitude } in decimal degrees),
+ * and the great-circle distance of every segment and itinerary of an offer.
+ */
+
+// coordinates of major airports by IATA code as [latitude, longitude], bundled so that distances
+// need no provider lookup
+const airportCoordinates = require('./data/airportCoordinates.json');
+
+// mean radius of the earth in km
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// great-circle distance in km between two points, using the haversine formula
+function getDistanceKm(from, to) {
+  const dLatitude = toRadians(to.latitude - from.latitude);
+  const dLongitude = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLatitude / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// coordinates of an airport, or null if it is not in the bundled dataset
+function getAirportCoordinates(iataCode) {
+  const coordinates = airportCoordinates[iataCode];
+  return coordinates ? { latitude: coordinates[0], longitude: coordinates[1] } : null;
+}
+
+// great-circle distance in km between two airports, or null if either is unknown
+function getAirportDistanceKm(fromCode, toCode) {
+  const from = getAirportCoordinates(fromCode);
+  const to = getAirportCoordinates(toCode);
+  return from && to ? Math.round(getDistanceKm(from, to)) : null;
+}
+
+// sum of distances, or null if any of them is unknown
+function sumDistances(distances) {
+  return distances.every(distance => distance != null)
+    ? distances.reduce((total, distance) => total + distance, 0)
+    : null;
+}
+
+// attach distanceKm to every segment, itinerary and offer, mutating the offers in place
+// an itinerary is as long as the segments it flies, so a connection adds its detour
+function attachDistances(offers) {
+  offers.forEach(offer => {
+    offer.itineraries.forEach(itinerary => {
+      itinerary.segments.forEach(segment => {
+        segment.distanceKm = getAirportDistanceKm(segment.departure.iataCode, segment.arrival.iataCode);
+      });
+      itinerary.distanceKm = sumDistances(itinerary.segments.map(segment => segment.distanceKm));
+    });
+    offer.distanceKm = sumDistances(offer.itineraries.map(itinerary => itinerary.distanceKm));
+  });
+  return offers;
+}
+
+module.exports = {
+  getDistanceKm,
+  getAirportCoordinates,
+  getAirportDistanceKm,
+  attachDistances,
+};
@@ -0,0 +1,46 @@
+/**
+ * Ground transport alternatives:
+ * rail and coach options between two cities from the bundled table in ./data/groundRoutes.json,
+ * with the typical station-to-station journey time, route distance and changes, and the CO2 per
+ * passenger from an emission factor per mode, so that a flight search can be compared with them.
+ * Only the options within config.groundTransportMaxHours are offered as alternatives.
+ */
+
+const config = require('./config');
+// emissionFactors by mode, cities with their airports, and routes by sorted city pair, e.g. "FRA-OSL"
+const groundRoutes = require('./data/groundRoutes.json');
+
+// city code of an airport or city code, e.g. LHR -> LON and OSL -> OSL, or null if it is not in the table
+function getCity(code) {
+  if (groundRoutes.cities[code]) return code;
+  return Object.keys(groundRoutes.cities).find(city => groundRoutes.cities[city].includes(code)) || null;
+}
+
+// rail and coach options from origin to destination (airport or city codes), fastest first
+// each is { mode, durationMinutes, distanceKm, changes, emissionsGramsPerPax, emissionFactorSource }
+// options that take longer than the configured threshold are left out
+function getGroundAlternatives(origin, destination) {
+  const originCity = getCity(origin);
+  const destinationCity = getCity(destination);
+  if (!originCity || !destinationCity || originCity === destinationCity) return [];
+  const route = groundRoutes.routes[[originCity, destinationCity].sort().join('-')];
+  if (!route) return [];
+
+  const maxMinutes = config.groundTransportMaxHours * 60;
+  return Object.entries(route)
+    .filter(([, option]) => option.durationMinutes <= maxMinutes)
+    .map(([mode, option]) => {
+      const factor = groundRoutes.emissionFactors[mode];
+      return {
+        mode,
+        ...option,
+        emissionsGramsPerPax: Math.round(option.distanceKm * factor.gramsPerPaxKm),
+        emissionFactorSource: factor.source
+      };
+    })
+    .sort((a, b) => a.durationMinutes - b.durationMinutes);
+}
+
+module.exports = {
+  getGroundAlternatives,
+};
@@ -0,0 +1,271 @@
+/**
+ * Amadeus flight provider:
+ * flight offers from the Amadeus Flight Offers Search API, airport and city suggestions from the
+ * Amadeus Airport & City Search API, and nearby airports from the Airport Nearest Relevant API.
+ * Amadeus offers are mapped onto the normalised offer model (see ./offerModel.js), which follows their shape.
+ * One-way and return trips use the GET search, multi-city trips the POST search.
+ */
+
+// Amadeus API SDK
+const Amadeus = require("amadeus");
+// record-and-replay of upstream responses
+const { withCassette } = require('../cassettes');
+// timeout, retries and circuit breaker
+const { callUpstream } = require('../resilience');
+// shared offer model of all providers
+const { completeOffer, toCheckedBags } = require('./offerModel');
+
+// the SDK refuses to start without credentials, so it is only created once the provider is used
+let amadeus = null;
+
+function getClient() {
+  if (!amadeus) {
+    // initialize Amadeus SDK with API credentials
+    // The code below was taken from a post by Amadeus: https://github.com/amadeus4dev/amadeus-node (last accessed 2025 07-27)
+    // BEGIN Copied Code
+    amadeus = new Amadeus({
+      clientId: process.env.AMADEUS_CLIENT_ID,
+      clientSecret: process.env.AMADEUS_CLIENT_SECRET,
+      hostname: 'production'
+    });
+    // END Copied Code
+  }
+  return amadeus;
+}
+
+// true for a simple return trip, i.e. two legs where the second one reverses the first one
+function isReturnTrip(legs) {
+  return legs.length === 2 &&
+    legs[1].locationDeparture === legs[0].locationArrival &&
+    legs[1].locationArrival === legs[0].locationDeparture;
+}
+
+// travelers of a multi-city search, where every infant on a lap is held by one of the adults
+function buildTravelers({ adults, children, infants }) {
+  const travelers = [];
+  const addTravelers = (count, travelerType, getExtra = () => ({})) => {
+    for (let index = 0; index < count; index++) {
+      travelers.push({ id: String(travelers.length + 1), travelerType, ...getExtra(index) });
+    }
+  };
+  addTravelers(adults, 'ADULT');
+  addTravelers(children, 'CHILD');
+  // adults have the ids 1 to adults
+  addTravelers(infants, 'HELD_INFANT', index => ({ associatedAdultId: String(index + 1) }));
+  return travelers;
+}
+
+// request body of a multi-city search with one origin-destination per leg
+function buildMultiCityBody({ legs, adults, children, infants, cabinClass }) {
+  const originDestinations = legs.map((leg, index) => ({
+    id: String(index + 1),
+    originLocationCode: leg.locationDeparture,
+    destinationLocationCode: leg.locationArrival,
+    departureDateTimeRange: { date: leg.departure }
+  }));
+  const body = {
+    originDestinations,
+    travelers: buildTravelers({ adults, children, infants }),
+    sources: ['GDS']
+  };
+  // cabin class on every leg
+  if (cabinClass) {
+    body.searchCriteria = {
+      flightFilters: {
+        cabinRestrictions: [{
+          cabin: cabinClass,
+          coverage: 'MOST_SEGMENTS',
+          originDestinationIds: originDestinations.map(originDestination => originDestination.id)
+        }]
+      }
+    };
+  }
+  return body;
+}
+
+// operating flight of an Amadeus segment, where Amadeus only names the operating carrier
+// its flight number is the marketing one unless the segment is a codeshare, where it is unknown
+function getOperatingFlight(segment, carriers) {
+  const carrierCode = segment.operating?.carrierCode || segment.carrierCode;
+  return { carrierCode, carrierName: carriers[carrierCode] || null, number: carrierCode === segment.carrierCode ? segment.number : null };
+}
+
+// departure or arrival of an Amadeus segment
+function toEndpoint(endpoint) {
+  return { iataCode: endpoint.iataCode, terminal: endpoint.terminal || null, at: endpoint.at };
+}
+
+// whether an Amadeus fare is refundable, from the amenities of its branded fare
+// Amadeus only lists refunds as an amenity, so a fare without one is unknown rather than non-refundable
+function isRefundable(travelerPricings) {
+  const amenities = travelerPricings.flatMap(pricing => pricing.fareDetailsBySegment.flatMap(details => details.amenities || []));
+  if (amenities.some(amenity => /NON.?REFUND/i.test(amenity.description))) return false;
+  return amenities.some(amenity => /REFUND/i.test(amenity.description)) ? true : null;
+}
+
+// Amadeus offer in the normalised offer model
+// dictionaries: carrier and aircraft names by code of the Amadeus response
+function normaliseOffer(amadeusOffer, { carriers = {}, aircraft = {} } = {}) {
+  const travelerPricings = amadeusOffer.travelerPricings || [];
+  return completeOffer({
+    id: amadeusOffer.id,
+    itineraries: amadeusOffer.itineraries.map(itinerary => ({
+      duration: itinerary.duration,
+      segments: itinerary.segments.map(segment => ({
+        id: segment.id,
+        departure: toEndpoint(segment.departure),
+        arrival: toEndpoint(segment.arrival),
+        carrierCode: segment.carrierCode,
+        carrierName: carriers[segment.carrierCode] || null,
+        number: segment.number,
+        operating: getOperatingFlight(segment, carriers),
+        aircraft: { code: segment.aircraft?.code || '', name: aircraft[segment.aircraft?.code] || null },
+        duration: segment.duration
+      }))
+    })),
+    price: { total: amadeusOffer.price.total, currency: amadeusOffer.price.currency },
+    travelerPricings: travelerPricings.map(pricing => ({
+      travelerId: pricing.travelerId,
+      travelerType: pricing.travelerType,
+      price: pricing.price ? { total: pricing.price.total, currency: pricing.price.currency } : null,
+      fareDetailsBySegment: pricing.fareDetailsBySegment.map(details => ({
+        segmentId: details.segmentId,
+        cabin: details.cabin,
+        brandedFare: details.brandedFareLabel || details.brandedFare || null,
+        includedCheckedBags: toCheckedBags(details.includedCheckedBags)
+      }))
+    })),
+    refundable: isRefundable(travelerPricings),
+    numberOfBookableSeats: amadeusOffer.numberOfBookableSeats ?? null
+  });
+}
+
+// offers of a flight offers search response { data, dictionaries } in the normalised offer model
+function normaliseResponse({ data, dictionaries }) {
+  return data.map(offer => normaliseOffer(offer, dictionaries));
+}
+
+// search flight offers and return them in the normalised offer model
+async function searchOffers({ legs, adults, children, infants, cabinClass }) {
+  // multi-city and open-jaw trips need the POST variant of the API
+  if (legs.length > 1 && !isReturnTrip(legs)) {
+    const body = buildMultiCityBody({ legs, adults, children, infants, cabinClass });
+    // The code below was taken from a post by Amadeus: https://developers.amadeus.com/self-service/category/flights/api-doc/flight-offers-search (last accessed 2025 07-27)
+    const multiCityResponse = await withCassette('amadeus-flight-offers-multi-city', body, async () => {
+      // BEGIN Copied Code
+      const amadeusResponse = await callUpstream('amadeus', () => getClient().shopping.flightOffersSearch.post(JSON.stringify(body)));
+      // END Copied Code
+      return { data: amadeusResponse.data, dictionaries: amadeusResponse.result?.dictionaries };
+    });
+    return normaliseResponse(multiCityResponse);
+  }
+
+  const [outbound, inbound] = legs;
+  // search parameters for Amadeus API
+  const amadeusSearchParams = {
+    // origin airport code
+    originLocationCode: outbound.locationDeparture,
+    // destination airport code
+    destinationLocationCode: outbound.locationArrival,
+    // departure date
+    departureDate: outbound.departure,
+    // number of adult passengers
+    adults: adults,
+  };
+
+  // optional parameters
+  // children with their own seat and infants on a lap
+  if (children > 0) amadeusSearchParams.children = children;
+  if (infants > 0) amadeusSearchParams.infants = infants;
+  // cabin class
+  if (cabinClass) amadeusSearchParams.travelClass = cabinClass;
+  // return date for round trips
+  if (inbound) amadeusSearchParams.returnDate = inbound.departure;
+
+  // call Amadeus Flight Offers Search API
+  // The code below was taken from a post by Amadeus: https://developers.amadeus.com/self-service/category/flights/api-doc/flight-offers-search (last accessed 2025 07-27)
+  const searchResponse = await withCassette('amadeus-flight-offers', amadeusSearchParams, async () => {
+    // BEGIN Copied Code
+    const amadeusResponse = await callUpstream('amadeus', () => getClient().shopping.flightOffersSearch.get(amadeusSearchParams));
+    // END Copied Code
+    return { data: amadeusResponse.data, dictionaries: amadeusResponse.result?.dictionaries };
+  });
+  return normaliseResponse(searchResponse);
+}
+
+// Amadeus locations (airports and cities) matching a keyword search
+async function getLocations(searchParams) {
+  return withCassette('amadeus-locations', searchParams, async () => {
+    // The code below was taken from a post by Amadeus: https://developers.amadeus.com/blog/airport-autocomplete-jquery-ajax (last accessed 2025 07-27)
+    // BEGIN Copied Code
+    const response = await callUpstream('amadeus', () => getClient().referenceData.locations.get(searchParams));
+    // END Copied Code
+    return response.data;
+  });
+}
+
+// airport in the shape returned by getLocationAirports and searchNearbyAirports
+function toAirportLocation(location) {
+  return {
+    iataCode: location.iataCode,
+    name: location.name,
+    cityName: location.address?.cityName || '',
+    latitude: location.geoCode?.latitude ?? null,
+    longitude: location.geoCode?.longitude ?? null
+  };
+}
+
+// search airports and cities matching the keyword for the autocomplete drop-down
+async function searchAirports(keyword) {
+  // call Amadeus API to search for airports and cities matching the keyword
+  const searchParams = {
+    keyword: keyword,
+    subType: 'AIRPORT,CITY',
+  };
+  const locations = await getLocations(searchParams);
+
+  // format the Amadeus data for communication with frontend
+  return locations.map(location => ({
+    // 'airport' or 'city', a city code stands for all of its airports
+    type: location.subType === 'CITY' ? 'city' : 'airport',
+    // 3-letter airport or city code
+    iataCode: location.iataCode,
+    // airport name
+    name: location.name,
+    // airport's city
+    cityName: location.address?.cityName || '',
+    // airport's country
+    countryName: location.address?.countryName || '',
+    // what user can see from drop-down menu
+    displayName: location.subType === 'CITY'
+      ? `${location.iataCode} - ${location.address?.cityName || location.name} (all airports)${location.address?.countryName ? ', ' + location.address.countryName : ''}`
+      : `${location.iataCode} - ${location.name}${location.address?.cityName ? ', ' + location.address.cityName : ''}${location.address?.countryName ? ', ' + location.address.countryName : ''}`
+  }));
+}
+
+// airports of a city code, or the airport itself for an airport code
+async function getLocationAirports(code) {
+  // the keyword search also matches the airports of a city by their city code
+  const locations = await getLocations({ keyword: code, subType: 'AIRPORT' });
+  return locations
+    .filter(location => location.address?.cityCode === code || location.iataCode === code)
+    .map(toAirportLocation);
+}
+
+// airports within radiusKm of a point, most relevant first
+async function searchNearbyAirports({ latitude, longitude }, radiusKm) {
+  const searchParams = { latitude, longitude, radius: radiusKm };
+  const airports = await withCassette('amadeus-nearby-airports', searchParams, async () => {
+    const response = await callUpstream('amadeus', () => getClient().referenceData.locations.airports.get(searchParams));
+    return response.data;
+  });
+  return airports.map(toAirportLocation);
+}
+
+module.exports = {
+  name: 'amadeus',
+  searchOffers,
+  searchAirports,
+  getLocationAirports,
+  searchNearbyAirports,
+};
@@ -0,0 +1,185 @@
+/**
+ * Fixture flight provider:
+ * serves flight offers, airport suggestions and airport locations from the local JSON files in ../fixtures,
+ * so the backend can run offline and without API keys (FIXTURE_MODE=true).
+ * Fixture itineraries only store times of day, which are placed on the requested dates, and
+ * their prices vary by weekday. Offers are built in the normalised offer model (see ./offerModel.js),
+ * with the fare of each cabin class below.
+ */
+
+const fixtureAirports = require('../fixtures/airports.json');
+const fixtureOffers = require('../fixtures/offers.json');
+// distance between airports for the nearby airport search
+const { getDistanceKm } = require('../geo');
+// placing fixture itineraries on the requested dates
+const { addDays } = require('../dates');
+// shared offer model of all providers
+const { completeOffer, toCheckedBags } = require('./offerModel');
+
+// price multiplier of each cabin class compared to economy
+const CABIN_PRICE_FACTORS = { ECONOMY: 1, PREMIUM_ECONOMY: 1.6, BUSINESS: 3.2, FIRST: 5 };
+// price of a child and an infant on a lap compared to an adult
+const CHILD_PRICE_FACTOR = 0.75;
+const INFANT_PRICE_FACTOR = 0.1;
+// price multiplier of each weekday (Sunday first), so prices vary across a flexible-date calendar
+const WEEKDAY_PRICE_FACTORS = [1.25, 1.1, 0.9, 0.85, 1, 1.3, 0.95];
+// fare brand, checked bags and refundability of each cabin class
+const CABIN_FARES = {
+  ECONOMY: { brandedFare: 'Classic', checkedBags: 1, refundable: false },
+  PREMIUM_ECONOMY: { brandedFare: 'Premium', checkedBags: 2, refundable: false },
+  BUSINESS: { brandedFare: 'Business Flex', checkedBags: 2, refundable: true },
+  FIRST: { brandedFare: 'First', checkedBags: 3, refundable: true }
+};
+// max num of seats left on an offer
+const MAX_BOOKABLE_SEATS = 9;
+
+// place a fixture itinerary of a leg (0 for the first one) on the given date in the normalised offer model
+function buildItinerary(template, date, legIndex) {
+  return {
+    duration: template.duration,
+    segments: template.segments.map((segment, segmentIndex) => ({
+      id: `${legIndex + 1}-${segmentIndex + 1}`,
+      departure: {
+        iataCode: segment.origin,
+        terminal: segment.departureTerminal || null,
+        at: `${date}T${segment.departureTime}:00`
+      },
+      arrival: {
+        iataCode: segment.destination,
+        terminal: segment.arrivalTerminal || null,
+        at: `${addDays(date, segment.arrivalDayOffset)}T${segment.arrivalTime}:00`
+      },
+      carrierCode: segment.carrierCode,
+      number: segment.number,
+      // fixture codeshares name their operating flight, other segments are operated as marketed
+      operating: segment.operating || { carrierCode: segment.carrierCode, number: segment.number },
+      aircraft: {
+        code: segment.aircraft
+      },
+      duration: segment.duration
+    }))
+  };
+}
+
+// search flight offers and return them in the normalised offer model
+async function searchOffers({ legs, adults, children, infants, cabinClass }) {
+  const passengerFactor = (parseInt(adults) || 1) + children * CHILD_PRICE_FACTOR + infants * INFANT_PRICE_FACTOR;
+  const priceFactor = (CABIN_PRICE_FACTORS[cabinClass] || 1) * passengerFactor;
+
+  // every itinerary of one leg is combined with every itinerary of the next leg
+  let combinations = [{ indexes: [], itineraries: [], basePrice: 0 }];
+  legs.forEach((leg, legIndex) => {
+    const templates = fixtureOffers.itineraries[`${leg.locationDeparture}-${leg.locationArrival}`] || [];
+    combinations = combinations.flatMap(combination =>
+      templates.map((template, index) => ({
+        indexes: [...combination.indexes, index],
+        itineraries: [...combination.itineraries, buildItinerary(template, leg.departure, legIndex)],
+        basePrice: combination.basePrice + template.basePrice * WEEKDAY_PRICE_FACTORS[new Date(`${leg.departure}T00:00:00Z`).getUTCDay()]
+      }))
+    );
+  });
+
+  const fare = CABIN_FARES[cabinClass] || CABIN_FARES.ECONOMY;
+  // every traveler with the share of the price of their type
+  const travelers = [
+    ...Array.from({ length: parseInt(adults) || 1 }, () => ({ travelerType: 'ADULT', priceFactor: 1 })),
+    ...Array.from({ length: children }, () => ({ travelerType: 'CHILD', priceFactor: CHILD_PRICE_FACTOR })),
+    ...Array.from({ length: infants }, () => ({ travelerType: 'HELD_INFANT', priceFactor: INFANT_PRICE_FACTOR }))
+  ];
+
+  return combinations.map(({ indexes, itineraries, basePrice }) => completeOffer({
+    id: `fixture-${indexes.join('-')}`,
+    itineraries,
+    price: {
+      total: (basePrice * priceFactor).toFixed(2),
+      currency: 'EUR'
+    },
+    travelerPricings: travelers.map((traveler, travelerIndex) => ({
+      travelerId: String(travelerIndex + 1),
+      travelerType: traveler.travelerType,
+      price: {
+        total: (basePrice * (CABIN_PRICE_FACTORS[cabinClass] || 1) * traveler.priceFactor).toFixed(2),
+        currency: 'EUR'
+      },
+      fareDetailsBySegment: itineraries.flatMap(itinerary => itinerary.segments.map(segment => ({
+        segmentId: segment.id,
+        cabin: cabinClass || 'ECONOMY',
+        brandedFare: fare.brandedFare,
+        // infants on a lap have no checked bags of their own
+        includedCheckedBags: toCheckedBags({ quantity: traveler.travelerType === 'HELD_INFANT' ? 0 : fare.checkedBags })
+      })))
+    })),
+    refundable: fare.refundable,
+    // seats left vary by offer, so that low availability shows up too
+    numberOfBookableSeats: MAX_BOOKABLE_SEATS - indexes.reduce((sum, index) => sum + index, 0) % MAX_BOOKABLE_SEATS
+  }));
+}
+
+// what user can see from drop-down menu
+const toDisplayName = (airport) => `${airport.iataCode} - ${airport.name}, ${airport.cityName}, ${airport.countryName}`;
+
+// airport in the shape returned by getLocationAirports and searchNearbyAirports
+const toAirportLocation = ({ iataCode, name, cityName, latitude, longitude }) => ({ iataCode, name, cityName, latitude, longitude });
+
+// cities with more than one airport, e.g. LON for LHR, LGW and STN
+function getFixtureCities() {
+  const airportsByCity = new Map();
+  fixtureAirports.forEach(airport => {
+    airportsByCity.set(airport.cityCode, [...(airportsByCity.get(airport.cityCode) || []), airport]);
+  });
+  return [...airportsByCity.entries()]
+    .filter(([, airports]) => airports.length > 1)
+    .map(([cityCode, airports]) => ({
+      type: 'city',
+      iataCode: cityCode,
+      name: airports[0].cityName,
+      cityName: airports[0].cityName,
+      countryName: airports[0].countryName,
+      displayName: `${cityCode} - ${airports[0].cityName} (all airports), ${airports[0].countryName}`
+    }));
+}
+
+// search airports and cities matching the keyword for the autocomplete drop-down
+async function searchAirports(keyword) {
+  const query = keyword.toLowerCase();
+  const matches = (place) =>
+    place.iataCode.toLowerCase().startsWith(query) ||
+    place.name.toLowerCase().includes(query) ||
+    place.cityName.toLowerCase().includes(query);
+  const airports = fixtureAirports
+    .filter(matches)
+    .map(airport => ({
+      type: 'airport',
+      iataCode: airport.iataCode,
+      name: airport.name,
+      cityName: airport.cityName,
+      countryName: airport.countryName,
+      displayName: toDisplayName(airport)
+    }));
+  // cities first, like the Amadeus results
+  return [...getFixtureCities().filter(matches), ...airports];
+}
+
+// airports of a city code, or the airport itself for an airport code
+async function getLocationAirports(code) {
+  return fixtureAirports
+    .filter(airport => airport.cityCode === code || airport.iataCode === code)
+    .map(toAirportLocation);
+}
+
+// airports within radiusKm of a point, nearest first
+async function searchNearbyAirports(centre, radiusKm) {
+  return fixtureAirports
+    .map(airport => ({ airport, distanceKm: getDistanceKm(centre, airport) }))
+    .filter(({ distanceKm }) => distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .map(({ airport }) => toAirportLocation(airport));
+}
+
+module.exports = {
+  name: 'fixture',
+  searchOffers,
+  searchAirports,
+  getLocationAirports,
+  searchNearbyAirports,
+};
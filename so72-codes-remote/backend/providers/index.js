@@ -0,0 +1,150 @@
+/**
+ * Flight provider registry:
+ * every provider implements the same interface, so the emissions pipeline never needs to know
+ * which source answered a search.
+ *
+ * A provider is an object with:
+ * - name: identifier used in configuration and logs
+ * - searchOffers({ legs, adults, children, infants, cabinClass }, requestId): flight offers in the normalised
+ *   (Amadeus-shaped) offer model of ./offerModel.js, with one itinerary per leg ({ locationDeparture, locationArrival, departure });
+ *   children have their own seat and infants travel on an adult's lap
+ * - searchAirports(keyword): airport and city suggestions as { type, iataCode, name, cityName, countryName, displayName },
+ *   where type is 'airport' or 'city'
+ * - getLocationAirports(code): airports of a city code, or the airport itself for an airport code, as
+ *   { iataCode, name, cityName, latitude, longitude }
+ * - searchNearbyAirports({ latitude, longitude }, radiusKm): airports within radiusKm of a point, in the same shape
+ *
+ * To add a source, implement the interface in this directory and register it below.
+ */
+
+const config = require('../config');
+const { isCircuitOpen } = require('../resilience');
+const { createApiError, classifyUpstreamError, summariseProviderFailures } = require('../errors');
+
+// all providers that can be enabled through configuration
+const availableProviders = {
+  amadeus: require('./amadeus'),
+  duffel: require('./duffel'),
+  fixture: require('./fixture'),
+};
+
+// enabled providers in the order they should be tried
+function getEnabledProviders() {
+  return config.flightProviders
+    .filter(name => {
+      if (!availableProviders[name]) {
+        console.warn(`Unknown flight provider "${name}" in configuration, ignoring it`);
+        return false;
+      }
+      return true;
+    })
+    .map(name => availableProviders[name]);
+}
+
+// legs of a search: the legs of a multi-city search as they are, or the outbound and optional
+// return flight of a one-way/return search
+function toLegs({ legs, departure, arrival, locationDeparture, locationArrival }) {
+  if (legs) return legs;
+  const outbound = { locationDeparture, locationArrival, departure };
+  return arrival
+    ? [outbound, { locationDeparture: locationArrival, locationArrival: locationDeparture, departure: arrival }]
+    : [outbound];
+}
+
+// error details for logging, whichever SDK threw it
+function describeError(error) {
+  return error.response ? error.response.data : error.message;
+}
+
+// outcome of a failed provider for providersTried, e.g. { provider: 'amadeus', code: 'TIMEOUT', message }
+function toFailedAttempt(provider, error) {
+  return { provider: provider.name, code: classifyUpstreamError(error), message: error.message };
+}
+
+// outcome of a provider skipped because its circuit breaker is open
+function toSkippedAttempt(provider) {
+  return { provider: provider.name, code: 'PROVIDER_UNAVAILABLE', message: `${provider.name} is temporarily unavailable after repeated failures` };
+}
+
+// search flight offers, falling back to the next provider if one fails
+// returns the answering provider, its offers and every provider tried along the way
+async function searchOffers(searchParams, requestId) {
+  const providerParams = {
+    legs: toLegs(searchParams),
+    adults: searchParams.adults,
+    children: searchParams.children || 0,
+    infants: searchParams.infants || 0,
+    cabinClass: searchParams.cabinClass
+  };
+  const providersTried = [];
+  for (const provider of getEnabledProviders()) {
+    // skip a provider that keeps failing, so the next one answers quickly
+    if (isCircuitOpen(provider.name)) {
+      console.log(`Skipping ${provider.name} flight search, circuit open [${requestId}]`);
+      providersTried.push(toSkippedAttempt(provider));
+      continue;
+    }
+    try {
+      console.log(`Trying ${provider.name} flight search... [${requestId}]`);
+      const offers = await provider.searchOffers(providerParams, requestId);
+      console.log(`${provider.name} flight search successful: ${offers.length} offers [${requestId}]`);
+      providersTried.push({ provider: provider.name, code: null, message: null });
+      return { provider: provider.name, offers, providersTried };
+    } catch (error) {
+      console.log(`${provider.name} flight search failed, trying next provider... [${requestId}]`);
+      console.error(`${provider.name} error:`, describeError(error));
+      providersTried.push(toFailedAttempt(provider, error));
+    }
+  }
+  console.error("All flight providers failed");
+  throw createApiError(summariseProviderFailures(providersTried), 'Failed to fetch flight offers from all providers.', providersTried);
+}
+
+// call a lookup on each provider in turn until one answers, e.g. an airport search
+// description: used in logs and the error message; call: function that runs the lookup on a provider
+async function lookUpWithFallback(description, call) {
+  const providersTried = [];
+  for (const provider of getEnabledProviders()) {
+    if (isCircuitOpen(provider.name)) {
+      console.log(`Skipping ${provider.name} ${description}, circuit open`);
+      providersTried.push(toSkippedAttempt(provider));
+      continue;
+    }
+    try {
+      console.log(`trying ${provider.name} ${description}...`);
+      const results = await call(provider);
+      console.log(`${provider.name} ${description} successful: ${results.length} results`);
+      return results;
+    } catch (error) {
+      console.log(`${provider.name} ${description} failed, trying next provider...`);
+      console.error(`${provider.name} error:`, describeError(error));
+      providersTried.push(toFailedAttempt(provider, error));
+    }
+  }
+  console.error(`All ${description} providers failed`);
+  throw createApiError(summariseProviderFailures(providersTried), `Failed to run ${description} with all providers.`, providersTried);
+}
+
+// search airports and cities, falling back to the next provider if one fails
+async function searchAirports(keyword) {
+  return lookUpWithFallback('airport search', provider => provider.searchAirports(keyword));
+}
+
+// airports of a city or airport code, falling back to the next provider if one fails
+async function getLocationAirports(code) {
+  return lookUpWithFallback('airport location lookup', provider => provider.getLocationAirports(code));
+}
+
+// airports near a point, falling back to the next provider if one fails
+async function searchNearbyAirports(centre, radiusKm) {
+  return lookUpWithFallback('nearby airport search', provider => provider.searchNearbyAirports(centre, radiusKm));
+}
+
+module.exports = {
+  getEnabledProviders,
+  toLegs,
+  searchOffers,
+  searchAirports,
+  getLocationAirports,
+  searchNearbyAirports,
+};
@@ -0,0 +1,43 @@
+/**
+ * Airline and aircraft names:
+ * names of the carrier and aircraft type codes of offers from the bundled tables in ./data, so that
+ * a code gets the same name whichever provider answered. Names reported by the provider are used
+ * for codes that the tables do not know. The alliance of a carrier also comes from a bundled table,
+ * since no provider reports it.
+ */
+
+// airline names by IATA carrier code, e.g. LH -> Lufthansa
+const airlineNames = require('./data/airlines.json');
+// aircraft names by IATA aircraft type code, e.g. 32N -> Airbus A320neo
+const aircraftNames = require('./data/aircraftTypes.json');
+// carrier codes by alliance, e.g. "Star Alliance": ["A3", "AC", ...]
+const alliances = require('./data/alliances.json');
+
+// a name sent in capitals, as Amadeus does, in title case, e.g. 'AIRBUS A320NEO' -> 'Airbus A320neo'
+// mixed-case names are kept as they are
+function toDisplayName(name) {
+  if (!name) return null;
+  if (name !== name.toUpperCase()) return name;
+  return name.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+// name of a carrier code, or null if neither the table nor the provider knows it
+function getCarrierName(code, providerName) {
+  return airlineNames[code] || toDisplayName(providerName);
+}
+
+// name of an aircraft type code, or null if neither the table nor the provider knows it
+function getAircraftName(code, providerName) {
+  return aircraftNames[code] || toDisplayName(providerName);
+}
+
+// alliance of a carrier code, e.g. LH -> Star Alliance, or null if it is in none
+function getAlliance(code) {
+  return Object.keys(alliances).find(alliance => alliances[alliance].includes(code)) || null;
+}
+
+module.exports = {
+  getCarrierName,
+  getAircraftName,
+  getAlliance,
+};
@@ -0,0 +1,120 @@
+// tests of the upstream call wrapper: retries, timeouts and the circuit breaker
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// config is read when it is first required, so short delays and a low threshold are set up before that
+process.env.UPSTREAM_RETRY_DELAY_MS = '1';
+process.env.CIRCUIT_FAILURE_THRESHOLD = '2';
+process.env.CIRCUIT_RESET_SECONDS = '60';
+
+const config = require('./config');
+const { callUpstream, isCircuitOpen } = require('./resilience');
+
+// every test uses its own upstream, since circuit breaker state is kept per upstream
+let upstreamCount = 0;
+function createUpstream() {
+  const upstream = `upstream${++upstreamCount}`;
+  config.resilience.timeoutsMs[upstream] = 50;
+  return upstream;
+}
+
+// an error as thrown by an SDK for the given HTTP status
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.response = { status };
+  return error;
+}
+
+// a call that fails with the given error, every time or the given num of times before it answers 'ok'
+function failingCall(error, failures) {
+  const fail = async () => { throw error; };
+  return failures === undefined ? mock.fn(fail) : mock.fn(async () => 'ok', fail, { times: failures });
+}
+
+// a call that never answers, so it runs into its timeout
+const hangingCall = () => new Promise(() => {});
+
+// make calls that time out until the circuit of the upstream opens
+async function openCircuit(upstream) {
+  for (let i = 0; i < config.resilience.circuitFailureThreshold; i++) {
+    await assert.rejects(callUpstream(upstream, hangingCall), { code: 'UPSTREAM_TIMEOUT' });
+  }
+  assert.equal(isCircuitOpen(upstream), true);
+}
+
+afterEach(() => mock.restoreAll());
+
+test('retries a transient error and returns the answer of a later attempt', async () => {
+  const upstream = createUpstream();
+  const call = failingCall(httpError(503), 2);
+
+  assert.equal(await callUpstream(upstream, call), 'ok');
+  assert.equal(call.mock.callCount(), 3);
+  assert.equal(isCircuitOpen(upstream), false);
+});
+
+test('gives up after the configured retries', async () => {
+  const upstream = createUpstream();
+  const call = failingCall(httpError(429));
+
+  await assert.rejects(callUpstream(upstream, call), { message: 'HTTP 429' });
+  assert.equal(call.mock.callCount(), 1 + config.resilience.retries);
+});
+
+test('does not retry a call that ran into its own timeout', async () => {
+  const upstream = createUpstream();
+  const call = mock.fn(hangingCall);
+
+  await assert.rejects(callUpstream(upstream, call), { code: 'UPSTREAM_TIMEOUT' });
+  assert.equal(call.mock.callCount(), 1);
+});
+
+test('throws client errors at once and leaves the circuit closed', async () => {
+  const upstream = createUpstream();
+  for (const status of [400, 401, 403, 404]) {
+    const call = failingCall(httpError(status));
+    await assert.rejects(callUpstream(upstream, call), { message: `HTTP ${status}` });
+    assert.equal(call.mock.callCount(), 1);
+  }
+  assert.equal(isCircuitOpen(upstream), false);
+});
+
+test('skips the upstream while its circuit is open', async () => {
+  const upstream = createUpstream();
+  await openCircuit(upstream);
+
+  const call = mock.fn(async () => 'ok');
+  await assert.rejects(callUpstream(upstream, call), { code: 'CIRCUIT_OPEN' });
+  assert.equal(call.mock.callCount(), 0);
+});
+
+test('lets a single trial call through once the reset time has passed', async () => {
+  let now = Date.now();
+  mock.method(Date, 'now', () => now);
+  const upstream = createUpstream();
+  await openCircuit(upstream);
+  now += config.resilience.circuitResetMs;
+
+  let answerTrial;
+  const trial = callUpstream(upstream, () => new Promise(resolve => { answerTrial = resolve; }));
+  // further calls are rejected while the trial call is in flight
+  const call = mock.fn(async () => 'ok');
+  await assert.rejects(callUpstream(upstream, call), { code: 'CIRCUIT_OPEN' });
+  assert.equal(call.mock.callCount(), 0);
+
+  answerTrial('trial ok');
+  assert.equal(await trial, 'trial ok');
+  assert.equal(isCircuitOpen(upstream), false);
+  assert.equal(await callUpstream(upstream, call), 'ok');
+});
+
+test('opens the circuit again straight away when the trial call fails', async () => {
+  let now = Date.now();
+  mock.method(Date, 'now', () => now);
+  const upstream = createUpstream();
+  await openCircuit(upstream);
+  now += config.resilience.circuitResetMs;
+
+  await assert.rejects(callUpstream(upstream, hangingCall), { code: 'UPSTREAM_TIMEOUT' });
+  assert.equal(isCircuitOpen(upstream), true);
+});
@@ -13,551 +13,312 @@ require('dotenv').config();
 const express = require("express");
 // cors for frontend communication
 const cors = require('cors'); 
-// http client for external API calls
-const axios = require('axios'); 
-// Amadeus API SDK
-const Amadeus = require("amadeus"); 
-// Duffel API SDK
-const { Duffel } = require('@duffel/api'); 
+// environment-based configuration
+const config = require('./config');
+// flight data providers (Amadeus, Duffel, ...)
+const providers = require('./providers');
+// Google Travel Impact Model CO2 emissions pipeline
+const emissions = require('./emissions');
+// great-circle distances of offers from the bundled airport coordinates
+const geo = require('./geo');
+// request coalescing and concurrency limit for flight searches
+const searchQueue = require('./searchQueue');
+// bounded cache of recent flight search responses
+const { flightSearchCache, isCacheableSearch } = require('./cache');
+// request schemas for the routes below
+const { airportSearchSchema, validate, validateFlightSearch, validationErrorResponse } = require('./validation');
+// error codes and error response bodies
+const { createApiError, toErrorResponse } = require('./errors');
+// calendar of lowest CO2 and price around the chosen dates
+const { buildDateMatrix } = require('./flexibleDates');
+// city codes and nearby airports expanded to airport pairs
+const { getAirportPairs, prefixOfferIds, mergeAirportPairResults } = require('./airportExpansion');
+// rail and coach alternatives of a route from the bundled table
+const { getGroundAlternatives } = require('./groundTransport');
+// local exchange rates table for the display currency of the frontend
+const { getExchangeRates } = require('./exchangeRates');
 
 // initialise express 
 const app = express(); 
 
+// enable cors before anything can fail, so error responses reach the frontend too
+app.use(cors()); 
 // enable to parse JSON requests from frontend
 app.use(express.json()); 
-// enable cors  
-app.use(cors()); 
-
-// initialize Amadeus SDK with API credentials 
-// The code below was taken from a post by Amadeus: https://github.com/amadeus4dev/amadeus-node (last accessed 2025 07-27)
-// BEGIN Copied Code 
-const amadeus = new Amadeus({
-  clientId: process.env.AMADEUS_CLIENT_ID,
-  clientSecret: process.env.AMADEUS_CLIENT_SECRET,
-  hostname: 'production' 
-});
-// END Copied Code 
-
-// initialize Duffel SDK with API credentials 
-// The code below was taken from a post by Duffel: https://github.com/duffelhq/duffel-api-javascript/blob/main/README.md (last accessed 2025 07-27)
-// BEGIN Copied Code 
-const duffel = new Duffel({
-  token: process.env.DUFFEL_API_KEY,
-});
-// END Copied Code 
 
-// deduplication setup
-// simple request deduplication cache
-const requestCache = new Map();
-// 30 seconds
-const CACHE_DURATION = 30000; 
-// mutex for flight search endpoint - prevents sending duplicated requests
-let flightSearchInProgress = false;
 // request counter for debugging
 let requestCounter = 0;
 
-// transform Duffel data structure to match Amadeus's one
-function transformDuffelToAmadeus(duffelOffer) {
-  return {
-    id: duffelOffer.id,
-    // transform itineraries
-    itineraries: duffelOffer.slices.map(slice => ({
-      duration: slice.duration,
-      segments: slice.segments.map(segment => ({
-        departure: {
-          iataCode: segment.origin.iata_code,
-          at: segment.departing_at
-        },
-        arrival: {
-          iataCode: segment.destination.iata_code,
-          at: segment.arriving_at
-        },
-        carrierCode: segment.marketing_carrier.iata_code,
-        number: segment.marketing_carrier_flight_number,
-        aircraft: {
-          code: segment.aircraft?.iata_code || ''
-        },
-        duration: segment.duration
-      }))
-    })),
-    // transform price 
-    price: {
-      total: duffelOffer.total_amount,
-      currency: duffelOffer.total_currency
-    },
-    // keep emissions data as is 
-    emissionsGramsPerPax: duffelOffer.emissionsGramsPerPax,
-    availableCabinClasses: duffelOffer.availableCabinClasses,
-    emissionsCompleteness: duffelOffer.emissionsCompleteness
-  };
-}
-
-// Airport autocomplete search - dual API integration
-// Duffel API will be used as fallback if Amadeus API fails
-// primary: Amadeus Airport Search API; secondary: Duffel Suggestion API
+// Airport autocomplete search - multi-provider integration
+// the next configured provider is used as fallback if one fails
+// e.g. primary: Amadeus Airport Search API; secondary: Duffel Suggestion API
 app.get("/airport-search", async (req, res) => {
-  const { keyword } = req.query;
   // validate input - require at least 2 characters to avoid too many results
-  if (!keyword || keyword.length < 2) {
-    return res.json({ data: [] });
+  const { values, fieldErrors } = validate(airportSearchSchema, req.query);
+  if (fieldErrors.length > 0) {
+    // empty data array to prevent frontend crashes
+    return res.status(400).json({ ...validationErrorResponse(fieldErrors), data: [] });
   }
-  // try Amadeus first, fallback to Duffel if it fails
+  const { keyword } = values;
   try {
-    console.log("trying Amadeus airport search...");
-    // call Amadeus API to search for airports matching the keyword
-    // The code below was taken from a post by Amadeus: https://developers.amadeus.com/blog/airport-autocomplete-jquery-ajax (last accessed 2025 07-27)
-    // BEGIN Copied Code 
-    const response = await amadeus.referenceData.locations.get({
-      keyword: keyword,
-      subType: 'AIRPORT',
-    });
-    // END Copied Code 
-
-    // format the Amadeus data for communication with frontend 
-    const formattedData = response.data.map(location => ({
-      // 3-letter airport code 
-      iataCode: location.iataCode, 
-      // airport name
-      name: location.name, 
-      // airport's city
-      cityName: location.address?.cityName || '', 
-      // airport's country
-      countryName: location.address?.countryName || '', 
-      // what user can see from drop-down menu
-      displayName: `${location.iataCode} - ${location.name}${location.address?.cityName ? ', ' + location.address.cityName : ''}${location.address?.countryName ? ', ' + location.address.countryName : ''}`
-    }));
-
-    console.log(`Amadeus airport search successful: ${formattedData.length} results`);
+    const formattedData = await providers.searchAirports(keyword);
     res.json({ data: formattedData });
+  } catch (error) {
+    // Return error response with empty data array to prevent frontend crashes
+    const { status, body } = toErrorResponse(error);
+    res.status(status).json({ ...body, data: [] });
+  }
+});
 
-  } catch (amadeusError) {
-    console.log("Amadeus airport search failed, trying Duffel fallback...");
-    // fallback (Duffel) api 
-    // The code below was taken from a post by Duffel: https://duffel.com/docs/api/places/get-place-suggestions?ref=duffel.ghost.io (last accessed 2025 07-27)
-    // BEGIN Copied Code 
-    try {
-      const response = await duffel.suggestions.list({
-        query: keyword,
-      });
-    // END Copied Code 
-
-      // format the Duffel response data for communication with frontend 
-      const formattedData = response.data
-      // only include airports
-        .filter(suggestion => suggestion.type === 'airport') 
-        .map(airport => ({
-          // 3-letter airport code 
-          iataCode: airport.iata_code, 
-          // airport name
-          name: airport.name, 
-          // airport's city 
-          cityName: airport.city?.name || '', 
-          // airport's country 
-          countryName: airport.city?.country?.name || '', 
-          // what user can see from drop-down menu
-          displayName: `${airport.iata_code} - ${airport.name}${airport.city?.name ? ', ' + airport.city.name : ''}${airport.city?.country?.name ? ', ' + airport.city.country.name : ''}`
-        }));
-
-      console.log(`Duffel airport search fallback successful: ${formattedData.length} results`);
-      res.json({ data: formattedData });
-
-    } catch (duffelError) {
-      console.error("Both Amadeus and Duffel airport search failed");
-      console.error("Duffel error:", duffelError.response ? duffelError.response.data : duffelError.message);
-      // Return error response with empty data array to prevent frontend crashes
-      res.status(500).json({ error: 'Failed to search airports with both APIs', data: [] });
-    }
+// Exchange rates - the local rates table { base, date, source, rates }, refreshed with
+// `node exchangeRates.js --refresh`; the frontend converts offer prices to the display currency with it
+app.get("/exchange-rates", (req, res) => {
+  try {
+    res.json(getExchangeRates());
+  } catch (error) {
+    console.error('Exchange rates could not be read:', error.message);
+    const { status, body } = toErrorResponse(error);
+    res.status(status).json(body);
   }
 });
 
 
-// Flight Search - dual API integration 
-// Duffel API will be used as fallback if Amadeus API fails
-// primary: Amadeus Flight Offers Search API; secondary: Duffel Offers Requests API
+// Flight Search - multi-provider integration 
+// the next configured provider is used as fallback if one fails
+// e.g. primary: Amadeus Flight Offers Search API; secondary: Duffel Offers Requests API
 // For CO2 emission, Google Travel Impact Model API is used to calculate 
 // 1. the typical CO2 emission for a given route    
 // 2. the CO2 emission of each journey 
+// the body is either a one-way/return search (locationDeparture, locationArrival, departure, arrival)
+// or a multi-city search with legs: [{ locationDeparture, locationArrival, departure }]
+// with flexibleDays (one-way/return only) the response also has a dateMatrix of the lowest CO2 and
+// price for every date pair within ±flexibleDays
+// city codes (one-way/return only) are searched for each of their airports, with nearbyKm also the
+// airports within that radius, and the response then has airportPairs with the offer count of each pair
+// one-way/return responses also have groundAlternatives: the rail and coach options of the route
 app.post("/date", async (req, res) => {
   // counter for debugging purpose 
   requestCounter++;
   const currentRequestNumber = requestCounter;
-  console.log(`Request #${currentRequestNumber} - Attempting to acquire mutex (current status: ${flightSearchInProgress})`);
-  const wasAlreadyInProgress = flightSearchInProgress;
-  flightSearchInProgress = true;
 
-  // reject duplicated request 
-  if (wasAlreadyInProgress) {
-    console.log(`Request #${currentRequestNumber} - Flight search already in progress, rejecting duplicate request`);
-    return res.status(200).json({ error: 'Flight search already in progress' });
+  // reject invalid search parameters before any external API is called
+  const { values, fieldErrors } = validateFlightSearch(req.body);
+  if (fieldErrors.length > 0) {
+    console.log(`Request #${currentRequestNumber} - invalid search parameters:`, fieldErrors.map(e => `${e.field}: ${e.code}`).join(', '));
+    return res.status(400).json(validationErrorResponse(fieldErrors));
   }
-  console.log(`Request #${currentRequestNumber} - Mutex acquired successfully, processing flight search`);
 
   try {
-    // extract and destructure search parameters from request body for flight search API calls
-    const { departure, arrival, locationDeparture, locationArrival, adults, cabinClass } = req.body;
-    // create cache key for request deduplication
-    const cacheKey = JSON.stringify({ departure, arrival, locationDeparture, locationArrival, adults, cabinClass });
-    // check if it has a recent cached response
-    if (requestCache.has(cacheKey)) {
-      const cached = requestCache.get(cacheKey);
-      if (Date.now() - cached.timestamp < CACHE_DURATION) {
-        console.log("Returning cached flight search result");
-        return res.json(cached.data);
-      } else {
-        // remove expired cache
-        requestCache.delete(cacheKey); 
-      }
-    }
-    // generate unique request ID for tracking
-    const requestId = Math.random().toString(36).substring(2, 11);
-    // log for debugging and monitoring usage patterns
-    console.log(`[${requestId}] Searching for flights:`, { locationDeparture, locationArrival, departure, adults });
-    const result = await processFlightSearch({ departure, arrival, locationDeparture, locationArrival, adults, cabinClass, cacheKey, requestId });
+    const result = await searchWithDateMatrix(values, `Request #${currentRequestNumber}`);
     return res.json(result);
   } catch (error) {
-    const errorMessage = error.message || 'Flight search failed';
-    return res.status(500).json({ error: errorMessage });
-  } finally {
-    // always release mutex when done
-    flightSearchInProgress = false;
+    // coded error with the providers that were tried, see errors.js
+    const { status, body } = toErrorResponse(error);
+    console.log(`Request #${currentRequestNumber} - search failed: ${body.code}`);
+    return res.status(status).json(body);
   }
 });
 
-// extract the flight search logic into a separate function
-async function processFlightSearch({ departure, arrival, locationDeparture, locationArrival, adults, cabinClass, cacheKey, requestId }) {
-  // initialize Google Travel Impact Model API credentials 
-  const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY; 
-  // typical CO2 emissions data 
-  let typicalEmissions = null; 
-
-  // fetch typical CO2 emissions for a given route
-  // The code below was taken from a post by Google: https://developers.google.com/travel/impact-model (last accessed 2025 07-27)
-  // BEGIN Copied Code  
-  try {
-    const typicalResponse = await axios.post(
-      `https://travelimpactmodel.googleapis.com/v1/flights:computeTypicalFlightEmissions?key=${GOOGLE_API_KEY}`,
-      {
-        markets: [{
-          origin: locationDeparture,
-          destination: locationArrival
-        }]
-      }
-    );
-  // END Copied Code 
+// Streaming flight search - the same search as /date, sent as Server-Sent Events as its parts arrive
+// 1. offers: { offers, provider, providersTried } as soon as a provider answers, before any emissions
+//    (once per airport pair when a city code or nearby airports are searched)
+// 2. typicalEmissions: { typicalEmissions, typicalEmissionsProvenance, typicalEmissionsByLeg } for the route
+// 3. emissions: { offers: [{ id, emissionsGramsPerPax, availableCabinClasses, emissionsCompleteness, itineraries }] }
+//    each time a Travel Impact Model batch completes
+// 4. result: the complete /date response, or error: the /date error body
+// cached and joined searches answer with the result only
+// invalid search parameters are answered with the same HTTP 400 JSON response as /date
+app.post("/date/stream", async (req, res) => {
+  // counter for debugging purpose 
+  requestCounter++;
+  const currentRequestNumber = requestCounter;
 
-    // extract typical emissions data if available
-    if (typicalResponse.data?.typicalFlightEmissions?.[0]?.emissionsGramsPerPax) {
-      typicalEmissions = typicalResponse.data.typicalFlightEmissions[0].emissionsGramsPerPax;
-    }
-  } catch (typicalError) {
-    // log error 
-    const errorMessage = typicalError.response?.data || typicalError.message || 'Unknown error occurred';
-    console.error("Typical Emissions API Error:", errorMessage);
+  // reject invalid search parameters before any external API is called
+  const { values, fieldErrors } = validateFlightSearch(req.body);
+  if (fieldErrors.length > 0) {
+    console.log(`Request #${currentRequestNumber} - invalid search parameters:`, fieldErrors.map(e => `${e.field}: ${e.code}`).join(', '));
+    return res.status(400).json(validationErrorResponse(fieldErrors));
   }
 
-  // primary: Amadeus Flight Offers Search API; secondary: Duffel Offers Requests API
-  let allFlightOffers = [];
-  let usingDuffel = false;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // stop reverse proxies such as nginx from buffering the events
+    'X-Accel-Buffering': 'no'
+  });
+  // the search carries on for the cache if the user leaves, but nothing more is sent
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const sendEvent = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-  // try Amadeus API
   try {
-    console.log("Trying Amadeus flight search...");
-
-    // search parameters for Amadeus API
-    const amadeusSearchParams = {
-      // origin airport code
-      originLocationCode: locationDeparture,
-      // destination airport code 
-      destinationLocationCode: locationArrival, 
-      // departure date 
-      departureDate: departure, 
-      // number of adult passengers
-      adults: adults, 
-    };
-
-    // optional parameters 
-    // cabin class 
-    if (cabinClass) amadeusSearchParams.travelClass = cabinClass; 
-    // return date for round trips
-    if (arrival) amadeusSearchParams.returnDate = arrival; 
-
-    // call Amadeus Flight Offers Search API
-    // The code below was taken from a post by Amadeus: https://developers.amadeus.com/self-service/category/flights/api-doc/flight-offers-search (last accessed 2025 07-27)  
-    // BEGIN Copied Code 
-    const amadeusResponse = await amadeus.shopping.flightOffersSearch.get(amadeusSearchParams);
-    // END Copied Code 
-    allFlightOffers = amadeusResponse.data;
-    console.log(`Amadeus flight search successful: ${allFlightOffers.length} offers`);
-
-  } catch (amadeusError) {
-    console.log("Amadeus flight search failed, trying Duffel fallback...");
-    console.error("Amadeus error:", amadeusError.response ? amadeusError.response.data : amadeusError.message);
-
-    try {
-      // fallback to Duffel API
-      console.log(`Using Duffel API as fallback... [${requestId}]`);
-      usingDuffel = true;
-
-      // parameters transfomred for requesting to Duffel's API 
-      // build passengers array for Duffel API
-      const passengers = Array.from({ length: adults }, (_, i) => ({
-        type: 'adult'
-      }));
-
-      // build slices array for Duffel API
-      const slices = [{
-        origin: locationDeparture,
-        destination: locationArrival,
-        departure_date: departure
-      }];
-
-      // add return to slice if round trip
-      if (arrival) {
-        slices.push({
-          origin: locationArrival,
-          destination: locationDeparture,
-          departure_date: arrival
-        });
-      }
-
-      // search parameters for Duffel API
-      const duffelSearchParams = {
-        slices: slices,
-        passengers: passengers,
-        max_connections: 2 
-      };
-
-      // add cabin class
-      if (cabinClass) {
-        duffelSearchParams.cabin_class = cabinClass.toLowerCase();
-      }
-
-      // create Duffel's flight offer request
-      console.log("Creating Duffel offer request...");
-      // The code below was taken from a post by Duffel: https://duffel.com/docs/api/v2/offer-requests (last accessed 2025 07-27)
-      // BEGIN Copied Code
-      const offerRequest = await duffel.offerRequests.create(duffelSearchParams);
-      // END Copied Code
-
-      // get offers from the request
-      console.log(`Fetching offers from Duffel... [${requestId}]`);
-      const offersResponse = await duffel.offers.list({
-        offer_request_id: offerRequest.data.id,
-        // limit to 40 offers due to the limit of 120 requests per minute
-        limit: 40 
-      });
-
-      allFlightOffers = offersResponse.data;
-      console.log(`Duffel flight search fallback successful: ${allFlightOffers.length} offers [${requestId}]`);
-
-      // deduplicate Duffel offers 
-      const flightRouteMap = new Map();
-      const duplicateCount = allFlightOffers.length;
-
-      allFlightOffers.forEach(offer => {
-        // generate unique flight route key
-        const flightKey = offer.slices.map(slice =>
-          slice.segments.map(segment =>
-            `${segment.marketing_carrier.iata_code}${segment.marketing_carrier_flight_number}@${segment.departing_at}`
-          ).join('|')
-        ).join('||');
-
-        // keep only unique flight route
-        if (!flightRouteMap.has(flightKey)) {
-          flightRouteMap.set(flightKey, offer);
-        }
-      });
-      // convert back to array with only unique flight routes
-      allFlightOffers = Array.from(flightRouteMap.values());
-
-      const removedDuplicates = duplicateCount - allFlightOffers.length;
-      if (removedDuplicates > 0) {
-        // for debugging purpose
-        console.log(`[${requestId}] Removed ${removedDuplicates} duplicate flight routes, keeping ${allFlightOffers.length} unique offers`);
-      }
-
-    } catch (duffelError) {
-      console.error("Both Amadeus and Duffel flight search failed");
-      console.error("Duffel error:", duffelError.response ? duffelError.response.data : duffelError.message);
-      throw new Error('Failed to fetch flight offers from both APIs.');
-    }
+    const result = await searchWithDateMatrix(values, `Request #${currentRequestNumber}`, sendEvent);
+    sendEvent('result', result);
+  } catch (error) {
+    const { body } = toErrorResponse(error);
+    console.log(`Request #${currentRequestNumber} - search failed: ${body.code}`);
+    sendEvent('error', body);
   }
+  res.end();
+});
 
-  // group flight offers by unique itinerary to avoid duplicated CO2 calculations for identical flights
-  try {
-    if (allFlightOffers.length > 0) {
-      const groupedOffers = {};
-      allFlightOffers.forEach(offer => {
-        let flightKey;
-        if (usingDuffel) {
-          // Duffel data structure
-          flightKey = offer.slices.map(slice =>
-            slice.segments.map(segment =>
-              `${segment.marketing_carrier.iata_code}${segment.marketing_carrier_flight_number}@${segment.departing_at}`
-            ).join('|')
-          ).join('||');
-        } else {
-          // Amadeus data structure
-          flightKey = offer.itineraries.map(itinerary =>
-            itinerary.segments.map(segment =>
-              `${segment.carrierCode}${segment.number}@${segment.departure.at}`
-            ).join('|')
-          ).join('||');
-        }
-        // group offers with the same flight itinerary
-        if (!groupedOffers[flightKey]) groupedOffers[flightKey] = [];
-        groupedOffers[flightKey].push(offer);
-      });
-
-      // fetch CO2 emissions for each unique flight journey
-      await Promise.all(
-        Object.values(groupedOffers).map(async (offersInGroup) => {
-          // use first offer in group as representative 
-          const representativeOffer = offersInGroup[0];
-
-          // transform flight segments from Duffel data structure into Google Travel Impact Model API format 
-          // in this case a segment means one leg of the journey
-          let flightsToCalculate;
-          if (usingDuffel) {
-            flightsToCalculate = representativeOffer.slices.flatMap(slice =>
-              slice.segments.map(segment => ({
-                // departure airport code
-                origin: segment.origin.iata_code, 
-                // arrival airport code
-                destination: segment.destination.iata_code, 
-                // airline code 
-                operatingCarrierCode: segment.operating_carrier.iata_code, 
-                // flight number
-                flightNumber: parseInt(segment.operating_carrier_flight_number), 
-                departureDate: {
-                  year: new Date(segment.departing_at).getFullYear(),
-                  // since no 0 month, we add 1 here
-                  month: new Date(segment.departing_at).getMonth() + 1, 
-                  day: new Date(segment.departing_at).getDate()
-                }
-              }))
-            );
-          } else {
-            // transform from Amadeus data structure into Google Travel Impact Model API format 
-            flightsToCalculate = representativeOffer.itineraries.flatMap(itinerary =>
-              itinerary.segments.map(segment => ({
-                // departure airport code
-                origin: segment.departure.iataCode, 
-                // arrival airport code
-                destination: segment.arrival.iataCode, 
-                // airline code 
-                operatingCarrierCode: segment.carrierCode, 
-                // flight number
-                flightNumber: parseInt(segment.number), 
-                departureDate: {
-                  year: new Date(segment.departure.at).getFullYear(),
-                  month: new Date(segment.departure.at).getMonth() + 1,
-                  day: new Date(segment.departure.at).getDate()
-                }
-              }))
-            );
-          }
-
-          // initialise variables to store emissions calculation results
-          let emissionsData = null, availableCabins = [], completeness = false;
-
-          // call Google Travel Impact Model API to calculate CO2 emissions
-          // , which will provide emissions data for different cabin classes
-          try {
-            const googleResponse = await axios.post(
-              `https://travelimpactmodel.googleapis.com/v1/flights:computeFlightEmissions?key=${GOOGLE_API_KEY}`,
-              { flights: flightsToCalculate }
-            );
-
-            if (googleResponse.data.flightEmissions?.length > 0) {
-              // initialise for each cabin class
-              const totalEmissions = { economy: 0, premiumEconomy: 0, business: 0, first: 0 };
-              const availableCabinsFromGoogle = new Set();
-              let isDataComplete = true;
-
-              // sum up emissions from all flight segments
-              googleResponse.data.flightEmissions.forEach(flightEmission => {
-                if (flightEmission.emissionsGramsPerPax) {
-                  Object.keys(totalEmissions).forEach(key => {
-                    const emissionValue = flightEmission.emissionsGramsPerPax[key];
-                    if (typeof emissionValue === 'number' && emissionValue > 0) {
-                      // sum emissions across segments
-                      totalEmissions[key] += emissionValue; 
-                      availableCabinsFromGoogle.add(key.replace('premiumEconomy', 'premium_economy').toUpperCase());
-                    }
-                  });
-                } else {
-                  // mark as incomplete if any segment does not have CO2 emissions data
-                  isDataComplete = false;
-                }
-              });
-
-              // filter out cabin classes that have zero emissions
-              emissionsData = Object.fromEntries(Object.entries(totalEmissions).filter(([, val]) => val > 0));
-              availableCabins = Array.from(availableCabinsFromGoogle);
-              completeness = isDataComplete;
-            }
-          } catch (googleError) {
-            // show Google API errors 
-            const errorMessage = googleError.response?.data || googleError.message || 'Unknown Google API error occurred';
-            console.error(`Google API Error for itinerary ${representativeOffer.id}:`, errorMessage);
-          }
+// run a validated search, with the calendar around the dates for flexible-date searches
+// onProgress (optional): called with (event, data) as parts of the search arrive, see /date/stream
+async function searchWithDateMatrix(values, logPrefix, onProgress) {
+  // multi-city legs are searched with their codes as they are, and have no ground alternatives
+  if (values.legs) return { ...await runFlightSearch(values, logPrefix, onProgress), groundAlternatives: [] };
+
+  const pairs = await getAirportPairs(values);
+  // the calendar is searched for the main airport pair only, so it costs one search per date pair
+  const [mainDeparture, mainArrival] = pairs[0];
+  const searchCalendarDates = (dateValues) => runFlightSearch({ ...dateValues, locationDeparture: mainDeparture, locationArrival: mainArrival }, logPrefix);
+  // the exact dates and the calendar around them are searched at the same time
+  const [result, dateMatrix] = await Promise.all([
+    runAirportPairSearch(values, pairs, logPrefix, onProgress),
+    values.flexibleDays > 0 ? buildDateMatrix(values, searchCalendarDates) : null
+  ]);
+  // rail and coach alternatives of the route, for the same direction as the outbound flights
+  const groundAlternatives = getGroundAlternatives(values.locationDeparture, values.locationArrival);
+  // cached results are shared, so the calendar and alternatives are added to a copy
+  return { ...result, groundAlternatives, ...(dateMatrix && { dateMatrix }) };
+}
 
+// search every origin and destination airport pair of a one-way/return search and merge the results
+// pairs: the airport pairs of the search, see getAirportPairs
+// a search between two single airports is run as it is
+async function runAirportPairSearch(values, pairs, logPrefix, onProgress) {
+  if (pairs.length === 1) {
+    const [locationDeparture, locationArrival] = pairs[0];
+    return runFlightSearch({ ...values, locationDeparture, locationArrival }, logPrefix, onProgress);
+  }
+  console.log(`${logPrefix} - searching ${pairs.length} airport pairs:`, pairs.map(pair => pair.join('-')).join(', '));
+  // progress of each pair with the offer ids of the merged response
+  // and the typical emissions of the first pair, which the merged response uses too
+  const getPairProgress = (locationDeparture, locationArrival, index) => onProgress && ((event, data) => {
+    if (event === 'typicalEmissions' && index > 0) return;
+    onProgress(event, data.offers ? { ...data, offers: prefixOfferIds(locationDeparture, locationArrival, data.offers) } : data);
+  });
+  // a failed pair is reported in airportPairs instead of failing the whole search
+  const pairResults = await Promise.all(pairs.map(([locationDeparture, locationArrival], index) =>
+    runFlightSearch({ ...values, locationDeparture, locationArrival }, logPrefix, getPairProgress(locationDeparture, locationArrival, index)).then(
+      result => ({ locationDeparture, locationArrival, result, error: null }),
+      error => ({ locationDeparture, locationArrival, result: null, error })
+    )));
+  return mergeAirportPairResults(pairResults);
+}
 
-          // attach calculated emissions data to all offers in this group
-          offersInGroup.forEach(offer => {
-            // CO2 emissions per passenger by cabin class
-            offer.emissionsGramsPerPax = emissionsData; 
-            // list of cabin classes with emissions data
-            offer.availableCabinClasses = availableCabins; 
-            // if all segments have complete data
-            offer.emissionsCompleteness = completeness; 
-          });
-        })
-      );
-      // transform Duffel data to Amadeus format if needed, and return to frontend
-      if (usingDuffel) {
-        allFlightOffers = allFlightOffers.map(offer => transformDuffelToAmadeus(offer));
-        console.log(`Transformed ${allFlightOffers.length} Duffel offers to Amadeus format [${requestId}]`);
-      }
+// answer a search from the cache, join an identical search in progress, or queue a new one
+// resolves with the search response
+// onProgress (optional) is only called by a search that runs, since cached and joined searches answer at once
+function runFlightSearch(values, logPrefix, onProgress) {
+  // extract and destructure search parameters from request body for flight search API calls
+  const { departure, arrival, locationDeparture, locationArrival, legs, adults, children, infants, cabinClass } = values;
+  // create cache key for request deduplication
+  // one-way searches may come without arrival or with an empty one
+  const cacheKey = JSON.stringify({ departure, arrival: arrival || null, locationDeparture, locationArrival, legs, adults, children: children || 0, infants: infants || 0, cabinClass });
+  // check if it has a recent cached response
+  const cached = flightSearchCache.get(cacheKey);
+  if (cached) {
+    console.log("Returning cached flight search result");
+    return Promise.resolve(cached);
+  }
+  // generate unique request ID for tracking
+  const requestId = Math.random().toString(36).substring(2, 11);
+  // identical searches that are already running are shared instead of sent again
+  const { promise, coalesced } = searchQueue.coalesceSearch(cacheKey, () => {
+    // log for debugging and monitoring usage patterns
+    console.log(`[${requestId}] Searching for flights:`, legs ? { legs: legs.map(leg => `${leg.locationDeparture}-${leg.locationArrival} ${leg.departure}`), adults, children, infants } : { locationDeparture, locationArrival, departure, arrival, adults, children, infants });
+    return processFlightSearch({ departure, arrival, locationDeparture, locationArrival, legs, adults, children, infants, cabinClass, cacheKey, requestId, onProgress });
+  });
+  console.log(`${logPrefix} - ${coalesced ? 'joined identical search in progress' : 'search queued'}`, searchQueue.getStats());
+  return promise;
+}
 
-      const responseData = {
-        // flight offers CO2 emissions
-        offers: allFlightOffers, 
-        // typical emissions for a given route 
-        typicalEmissions 
-      };
+// extract the flight search logic into a separate function
+// onProgress (optional): called with (event, data) as the offers, typical emissions and flight emissions arrive
+async function processFlightSearch({ departure, arrival, locationDeparture, locationArrival, legs, adults, children, infants, cabinClass, cacheKey, requestId, onProgress }) {
+  const notify = onProgress || (() => {});
+  // typical CO2 emissions data for a given route, or summed over all legs of a multi-city trip
+  // fetched alongside the flight offers, and null if Google has no data
+  const typicalPromise = emissions.computeTypicalEmissionsForLegs(legs || [{ locationDeparture, locationArrival }]).then(typical => {
+    notify('typicalEmissions', {
+      typicalEmissions: typical.total,
+      typicalEmissionsProvenance: typical.provenance,
+      ...(legs && { typicalEmissionsByLeg: typical.byLeg })
+    });
+    return typical;
+  });
 
-      // cache the response to prevent duplicate requests
-      requestCache.set(cacheKey, {
-        data: responseData,
-        timestamp: Date.now()
-      });
+  // flight offers in the normalised offer model from the first provider that answers
+  // with one itinerary per leg
+  const { provider, offers: allFlightOffers, providersTried } = await providers.searchOffers(
+    { departure, arrival, locationDeparture, locationArrival, legs, adults, children, infants, cabinClass },
+    requestId
+  );
+  // great-circle distance of each segment, itinerary and offer
+  geo.attachDistances(allFlightOffers);
+  notify('offers', { offers: allFlightOffers, provider, providersTried });
 
-      return responseData;
-    } else {
-      // no flights found for that search
-      const responseData = { offers: [], typicalEmissions };
+  try {
+    // CO2 emissions for each unique flight journey
+    const { failedBatches } = await emissions.attachFlightEmissions(allFlightOffers, updatedOffers => {
+      notify('emissions', { offers: updatedOffers.map(emissions.toEmissionsUpdate) });
+    });
+    const { total: typicalEmissions, byLeg: typicalEmissionsByLeg, provenance: typicalEmissionsProvenance } = await typicalPromise;
+
+    // non-fatal problems, e.g. no emissions for any offer because Google had no data or was down
+    const warnings = emissions.getEmissionsWarnings(allFlightOffers, failedBatches);
+
+    const responseData = {
+      // flight offers CO2 emissions
+      offers: allFlightOffers, 
+      // typical emissions for a given route 
+      typicalEmissions,
+      // data source and model version of the typical emissions
+      typicalEmissionsProvenance,
+      // typical emissions of each leg of a multi-city trip
+      ...(legs && { typicalEmissionsByLeg }),
+      // provider that answered and every provider tried before it
+      provider,
+      providersTried,
+      warnings
+    };
 
-      // cache the response to prevent duplicate requests
-      requestCache.set(cacheKey, {
-        data: responseData,
-        timestamp: Date.now()
-      });
+    // cache the response to prevent duplicate requests
+    // unless a provider or Google failed, which may be fixed by trying again soon
+    if (isCacheableSearch(responseData)) flightSearchCache.set(cacheKey, responseData);
 
-      return responseData;
-    }
+    return responseData;
   } catch (error) {
     // handle any errors during flight search or processing
     const errorMessage = error.response?.data || error.message || 'Flight search processing error';
     console.error("General API Error:", errorMessage);
-    throw new Error('Failed to process flight search.');
+    throw createApiError('INTERNAL_ERROR', 'Failed to process flight search.', providersTried);
   }
 }
 
+// errors thrown outside the routes, e.g. by express.json for a body that is not a JSON object
+// body parser errors carry a type such as entity.parse.failed and are answered like invalid fields
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  if (error.type && error.status < 500) {
+    console.error(`Rejected request body (${error.type}):`, error.message);
+    const fieldError = error.type === 'entity.too.large'
+      ? { field: 'body', code: 'body_too_large', message: 'The request body is too large.' }
+      : { field: 'body', code: 'invalid_body', message: 'The request body must be a JSON object.' };
+    return res.status(400).json(validationErrorResponse([fieldError]));
+  }
+  console.error("Unhandled error:", error.message);
+  const { status, body } = toErrorResponse(createApiError('INTERNAL_ERROR', 'Failed to process the request.'));
+  res.status(status).json(body);
+});
+
 // server configuration
-// environment variable for port, otherwise to 2800 for development
-const PORT = process.env.PORT || 2800;
+// port from configuration
+const PORT = config.port;
 
 // start the server
 const server = app.listen(PORT, () => {
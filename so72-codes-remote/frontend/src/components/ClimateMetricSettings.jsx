@@ -0,0 +1,50 @@
+// ClimateMetricSettings component - lets the user choose between CO2 only and CO2e with a radiative forcing multiplier
+
+import React from 'react';
+import { climateMetricOptions, radiativeForcingLimits } from '../utils/constants';
+
+// climateMetric - { metric: 'CO2' | 'CO2E', multiplier }
+// setClimateMetric - callback with the new setting
+const ClimateMetricSettings = ({ climateMetric, setClimateMetric }) => {
+  // keep the multiplier within the accepted range while typing
+  const handleMultiplierChange = (e) => {
+    const multiplier = parseFloat(e.target.value);
+    if (isNaN(multiplier)) return;
+    setClimateMetric({ ...climateMetric, multiplier: Math.min(radiativeForcingLimits.max, Math.max(radiativeForcingLimits.min, multiplier)) });
+  };
+
+  return (
+    <div className="climate-metric-settings">
+      <label htmlFor="climate-metric-select">🌍 Climate metric </label>
+      <select
+        id="climate-metric-select"
+        value={climateMetric.metric}
+        onChange={(e) => setClimateMetric({ ...climateMetric, metric: e.target.value })}
+      >
+        {climateMetricOptions.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+      </select>
+      {/* radiative forcing multiplier, only used for CO2e */}
+      {climateMetric.metric === 'CO2E' && (
+        <span className="radiative-forcing-input">
+          <label htmlFor="radiative-forcing">× RF multiplier </label>
+          <input
+            id="radiative-forcing"
+            type="number"
+            min={radiativeForcingLimits.min}
+            max={radiativeForcingLimits.max}
+            step={radiativeForcingLimits.step}
+            value={climateMetric.multiplier}
+            onChange={handleMultiplierChange}
+          />
+        </span>
+      )}
+      <span className="climate-metric-hint">
+        {climateMetric.metric === 'CO2E'
+          ? `All values are CO₂e: Google's CO₂ × ${climateMetric.multiplier} for non-CO₂ effects of flying`
+          : 'All values are CO₂ only, without non-CO₂ effects of flying'}
+      </span>
+    </div>
+  );
+};
+
+export default ClimateMetricSettings;
@@ -2,7 +2,7 @@
 
 import React from 'react';
 
-const Co2Equivalents = ({ co2_min, co2_max, isTypical = false, route = '' }) => {
+const Co2Equivalents = ({ co2_min, co2_max, isTypical = false, route = '', co2Label = 'CO₂' }) => {
   // no render if CO2 data not available
   if (co2_min == null || co2_max == null) return null;
 
@@ -53,7 +53,7 @@ const Co2Equivalents = ({ co2_min, co2_max, isTypical = false, route = '' }) =>
             Your chosen flight option produces
           </div>
         ) : null}
-        {isRange ? `${co2_min.toFixed(0)} - ${co2_max.toFixed(0)} kg` : `${co2_min.toFixed(0)} kg`} of CO₂ is equivalent to...
+        {isRange ? `${co2_min.toFixed(0)} - ${co2_max.toFixed(0)} kg` : `${co2_min.toFixed(0)} kg`} of {co2Label} is equivalent to...
       </h3>
       <div className="infographic-item">
         <span className="icon">💡</span>
@@ -3,9 +3,13 @@
 
 import React, { useMemo } from 'react';
 import * as d3 from 'd3';
-import { getCO2EmissionForClass } from '../utils/helpers';
+import { getCO2EmissionForClass, getItineraryLabel } from '../utils/helpers';
+import EmissionsProvenance from './EmissionsProvenance';
 
-const DistributionChart = ({ hoveredFlight, typicalEmissions, selectedCabinClass }) => {
+// opacity of each segment's part of a stacked bar, cycling for trips with many segments
+const SEGMENT_OPACITIES = [1, 0.75, 0.5, 0.3];
+
+const DistributionChart = ({ hoveredFlight, typicalEmissions, typicalEmissionsProvenance, selectedCabinClass, co2Label = 'CO₂' }) => {
   // dynamic chart title 
   const chartTitle = hoveredFlight 
     ? `Emissions for your chosen flight option ${hoveredFlight.itineraries[0].segments[0].carrierCode}${hoveredFlight.itineraries[0].segments[0].number}` 
@@ -28,7 +32,9 @@ const DistributionChart = ({ hoveredFlight, typicalEmissions, selectedCabinClass
           cabinClass, 
           // format for display
           displayClass: cabinClass.replace(/_/g, ' '), 
-          co2: parseFloat(getCO2EmissionForClass(hoveredFlight, cabinClass)) || 0 
+          co2: parseFloat(getCO2EmissionForClass(hoveredFlight, cabinClass)) || 0,
+          // CO2 of each segment of a connecting, return or multi-city trip, to stack the bar by segment
+          segments: getSegmentEmissions(hoveredFlight, cabinClass)
         }))
         .filter(d => d.co2 > 0 && !(excludeFirstClass && d.cabinClass === 'FIRST'));
     }
@@ -79,6 +85,15 @@ const DistributionChart = ({ hoveredFlight, typicalEmissions, selectedCabinClass
     return []; 
   }, [hoveredFlight, typicalEmissions]);
 
+  // segments of the hovered flight shown as parts of the stacked bars, with their share of the
+  // chosen cabin class's CO2, since a long positioning flight is often the main cause of a high total
+  const shareBar = chartData.find(d => d.cabinClass === selectedCabinClass && d.segments) || chartData.find(d => d.segments);
+  const segmentLabels = shareBar
+    ? hoveredFlight.itineraries.flatMap((itinerary, itineraryIndex) => itinerary.segments.map(segment =>
+      `${hoveredFlight.itineraries.length > 1 ? `${getItineraryLabel(hoveredFlight, itineraryIndex)}: ` : ''}${segment.departure.iataCode} → ${segment.arrival.iataCode}`))
+      .map((label, index) => `${label} (${Math.round(shareBar.segments[index] / shareBar.co2 * 100)}%)`)
+    : [];
+
   // define chart size and margins
   const margin = { top: 40, right: 30, bottom: 40, left: 60 };
   const width = 500, height = 350;
@@ -117,6 +132,19 @@ const DistributionChart = ({ hoveredFlight, typicalEmissions, selectedCabinClass
     <div className="distribution-chart-container">
       <div className="chart-header">
         <h4>{chartTitle}</h4>
+        {/* data sources and model versions of the values shown */}
+        <EmissionsProvenance provenance={hoveredFlight ? hoveredFlight.emissionsProvenance : typicalEmissionsProvenance} />
+        {/* legend of the segments in the stacked bars */}
+        {segmentLabels.length > 0 && (
+          <div className="leg-legend">
+            {segmentLabels.map((label, index) => (
+              <span key={label} className="leg-legend-item">
+                <span className="leg-legend-swatch" style={{ opacity: SEGMENT_OPACITIES[index % SEGMENT_OPACITIES.length] }}></span>
+                {label}
+              </span>
+            ))}
+          </div>
+        )}
       </div>
       <svg viewBox={`0 0 ${width} ${height}`}>
         {/* render the horizontal (bottom) axis
@@ -136,9 +164,26 @@ const DistributionChart = ({ hoveredFlight, typicalEmissions, selectedCabinClass
         */}
         <g transform={`translate(${margin.left}, 0)`} ref={node => d3.select(node).call(d3.axisLeft(yScale))} />
         {/* rotate the label by 90 degrees so that it is displayed vertically */}
-        <text transform="rotate(-90)" y={15} x={0 - (height / 2)} dy="1em" style={{ textAnchor: 'middle', fontSize: '12px' }}>CO₂ Emission (kg)</text>
-        {/* draw all the bars */}
-        {chartData.map(d => <rect key={d.cabinClass} x={xScale(d.displayClass)} y={yScale(d.co2)} width={xScale.bandwidth()} height={height - margin.bottom - yScale(d.co2)} fill={d.cabinClass === selectedCabinClass ? 'var(--highlight-color)' : 'var(--primary-color)'} />)}
+        <text transform="rotate(-90)" y={15} x={0 - (height / 2)} dy="1em" style={{ textAnchor: 'middle', fontSize: '12px' }}>{co2Label} Emission (kg)</text>
+        {/* draw all the bars, stacked by segment for connecting, return and multi-city trips */}
+        {chartData.map(d => {
+          const fill = d.cabinClass === selectedCabinClass ? 'var(--highlight-color)' : 'var(--primary-color)';
+          if (!d.segments) {
+            return <rect key={d.cabinClass} x={xScale(d.displayClass)} y={yScale(d.co2)} width={xScale.bandwidth()} height={height - margin.bottom - yScale(d.co2)} fill={fill} />;
+          }
+          // CO2 of the segments below the current one
+          let stackedCo2 = 0;
+          return (
+            <g key={d.cabinClass}>
+              {d.segments.map((segmentCo2, index) => {
+                const y = yScale(stackedCo2 + segmentCo2);
+                const barHeight = yScale(stackedCo2) - y;
+                stackedCo2 += segmentCo2;
+                return <rect key={index} x={xScale(d.displayClass)} y={y} width={xScale.bandwidth()} height={barHeight} fill={fill} fillOpacity={SEGMENT_OPACITIES[index % SEGMENT_OPACITIES.length]} stroke="#fff" strokeWidth={1} />;
+              })}
+            </g>
+          );
+        })}
         {/* write co2 value on the top of corresponding bar */}
         {chartData.map(d => <text key={`${d.cabinClass}-label`} x={xScale(d.displayClass) + xScale.bandwidth() / 2} y={yScale(d.co2) - 5} textAnchor="middle" fontSize="12px" fill="#333">{d.co2.toFixed(1)} kg</text>)}
       </svg>
@@ -146,4 +191,13 @@ const DistributionChart = ({ hoveredFlight, typicalEmissions, selectedCabinClass
   );
 };
 
+// CO2 (kg) of each segment of a trip for a cabin class, in flying order, or null for a single
+// direct flight or if a segment has no data
+const getSegmentEmissions = (flight, cabinClass) => {
+  const segments = flight.itineraries.flatMap(itinerary => itinerary.segments);
+  if (segments.length < 2) return null;
+  const segmentsCo2 = segments.map(segment => parseFloat(getCO2EmissionForClass(segment, cabinClass)));
+  return segmentsCo2.every(co2 => co2 > 0) ? segmentsCo2 : null;
+};
+
 export default DistributionChart;
\ No newline at end of file
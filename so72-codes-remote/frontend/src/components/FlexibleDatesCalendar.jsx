@@ -0,0 +1,112 @@
+// FlexibleDatesCalendar component - heatmap of the lowest CO2 or price for each date pair of a flexible-date search
+
+import React, { useState, useMemo } from 'react';
+import * as d3 from 'd3';
+import { formatPrice } from '../utils/helpers';
+
+// short date label, e.g. Mon 3 Nov
+const formatDateLabel = (date) => new Date(`${date}T00:00:00`).toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' });
+
+// dateMatrix - { departureDates, returnDates, cells } from the backend
+// selectedDeparture, selectedArrival - dates of the flights listed below the calendar
+// onSelectDates - callback with (departure, arrival) when a date pair is clicked
+// co2Label - label of the chosen climate metric, CO₂ or CO₂e
+// priceScope - what the prices cover, e.g. 'total for 2 adults'
+const FlexibleDatesCalendar = ({ dateMatrix, selectedDeparture, selectedArrival, onSelectDates, co2Label = 'CO₂', priceScope = '' }) => {
+  // metric used for the colours, which is either co2 or price
+  const [metric, setMetric] = useState('co2');
+  // one-way searches have a single row of departure dates
+  const isOneWay = dateMatrix.returnDates.length === 0;
+
+  // value of a cell for the chosen metric (CO2 in kg), or null if there is no data
+  const getValue = (cell) => {
+    if (!cell) return null;
+    return metric === 'co2'
+      ? (cell.lowestCo2GramsPerPax != null ? cell.lowestCo2GramsPerPax / 1000 : null)
+      : cell.lowestPrice;
+  };
+
+  // cells by date pair for quick lookup
+  const cellsByDates = useMemo(
+    () => new Map(dateMatrix.cells.map(cell => [`${cell.departure}|${cell.arrival ?? ''}`, cell])),
+    [dateMatrix]
+  );
+  const getCell = (departure, arrival = '') => cellsByDates.get(`${departure}|${arrival}`);
+
+  // green for the lowest values and red for the highest ones
+  const values = dateMatrix.cells.map(getValue).filter(v => v != null);
+  const [minValue, maxValue] = values.length > 0 ? d3.extent(values) : [0, 1];
+  const colourScale = d3.scaleSequential(d3.interpolateRdYlGn).domain([maxValue, minValue === maxValue ? maxValue - 1 : minValue]);
+  // greenest date pair across the calendar
+  const greenestCell = dateMatrix.cells
+    .filter(cell => cell.lowestCo2GramsPerPax != null)
+    .reduce((best, cell) => (!best || cell.lowestCo2GramsPerPax < best.lowestCo2GramsPerPax ? cell : best), null);
+
+  // render one date pair
+  const renderCell = (departure, arrival) => {
+    const cell = getCell(departure, arrival);
+    // return before departure, or a date pair the backend left out
+    if (!cell) return <td key={`${departure}-${arrival}`} className="calendar-cell empty"></td>;
+
+    const value = getValue(cell);
+    const isSelected = cell.departure === selectedDeparture && (cell.arrival ?? '') === (selectedArrival || '');
+    const isGreenest = greenestCell === cell;
+    return (
+      <td
+        key={`${departure}-${arrival}`}
+        className={`calendar-cell ${isSelected ? 'selected' : ''} ${value == null ? 'no-data' : ''}`}
+        style={value != null ? { backgroundColor: colourScale(value) } : undefined}
+        onClick={() => cell.offerCount > 0 && onSelectDates(cell.departure, cell.arrival ?? '')}
+        title={cell.error ? 'Search failed for these dates' : `${cell.offerCount} flights`}
+      >
+        {value == null ? '–' : (
+          <>
+            <div className="calendar-co2">{isGreenest && '🌱 '}{cell.lowestCo2GramsPerPax != null ? `${(cell.lowestCo2GramsPerPax / 1000).toFixed(0)} kg` : '–'}</div>
+            <div className="calendar-price">{cell.lowestPrice != null ? formatPrice(cell.lowestPrice, cell.currency, 0) : '–'}</div>
+          </>
+        )}
+      </td>
+    );
+  };
+
+  return (
+    <section className="flexible-dates-calendar">
+      <div className="calendar-header">
+        <h3>Lowest {co2Label} and price around your dates</h3>
+        {/* metric the colours are based on */}
+        <div className="calendar-metric-toggle">
+          <button className={metric === 'co2' ? 'active' : ''} onClick={() => setMetric('co2')}>{co2Label}</button>
+          <button className={metric === 'price' ? 'active' : ''} onClick={() => setMetric('price')}>Price</button>
+        </div>
+      </div>
+      <div className="calendar-table-wrapper">
+        <table className="calendar-table">
+          <thead>
+            <tr>
+              <th>{isOneWay ? 'Departure' : 'Departure ↓ / Return →'}</th>
+              {isOneWay
+                ? dateMatrix.departureDates.map(date => <th key={date}>{formatDateLabel(date)}</th>)
+                : dateMatrix.returnDates.map(date => <th key={date}>{formatDateLabel(date)}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {isOneWay ? (
+              <tr>
+                <th>Lowest</th>
+                {dateMatrix.departureDates.map(date => renderCell(date, ''))}
+              </tr>
+            ) : dateMatrix.departureDates.map(departure => (
+              <tr key={departure}>
+                <th>{formatDateLabel(departure)}</th>
+                {dateMatrix.returnDates.map(arrival => renderCell(departure, arrival))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="calendar-hint">Click a date to see its flights. 🌱 marks the dates with the lowest {co2Label} per passenger.{priceScope && ` Prices are the ${priceScope}.`}</p>
+    </section>
+  );
+};
+
+export default FlexibleDatesCalendar;
@@ -14,7 +14,45 @@ const FlightList = ({
   flightsWithCO2Count,
   flightsWithoutCO2Count,
   selectedFlightId,
+  airportPairs,
+  searchedPassengers,
+  pendingFlights = [],
+  // flights in a currency missing from the rates table, shown apart since their price cannot be compared
+  unconvertedFlights = [],
+  currency = 'EUR',
+  co2Label = 'CO₂',
 }) => {
+  // flights whose CO2 comes from the local estimate instead of Google
+  const estimatedCount = flights.filter(flight => flight.emissionsEstimated).length;
+  // a city code or nearby airports were searched, so flights may use different airports
+  const hasSeveralAirports = airportPairs?.length > 1;
+
+  // one flight card
+  const renderFlightItem = (flight) => {
+    // generate unique key for each flight item
+    const flightKey = `${flight.id}-${flight.itineraries[0].segments[0].departure.at}`;
+
+    return (
+      <FlightItem
+        key={flightKey}
+        flight={flight}
+        searchedCabinClass={searchedCabinClass}
+        passengers={searchedPassengers}
+        co2Label={co2Label}
+        // label the airports of each flight when several were searched
+        showAirportLabel={hasSeveralAirports}
+        // highlight if hovered in charts
+        isHighlighted={hoveredFlightIds.includes(flightKey)} 
+        // highlight if selected from chart
+        isSelected={selectedFlightId === flightKey} 
+        // sync hover with charts
+        onMouseEnter={handleFlightCardEnter} 
+        // clear hover state
+        onMouseLeave={handleFlightCardLeave} 
+      />
+    );
+  };
+
   return (
     <div className="results-container">
       {/* header with flight count and sort by option */}
@@ -22,12 +60,24 @@ const FlightList = ({
         {/* flight count */}
         <div className="flight-count">
           Showing {flights.length} of {flightsWithCO2Count} flights
-          {/* show count of excluded ones due to missing CO2 data */}
-          {/* {flightsWithoutCO2Count > 0 && (
-            <span className="excluded-count">
+          {/* flights shown below the list until their CO2 arrives */}
+          {pendingFlights.length > 0 && (
+            <span className="pending-count">
+              ({pendingFlights.length} awaiting {co2Label})
+            </span>
+          )}
+          {/* show count of excluded ones due to missing CO2 data, which could not even be estimated */}
+          {flightsWithoutCO2Count > 0 && (
+            <span className="excluded-count" title={`No ${co2Label} data from Google and no distance to estimate it from`}>
               ({flightsWithoutCO2Count} excluded)
             </span>
-          )} */}
+          )}
+          {/* show count of flights whose CO2 is estimated */}
+          {estimatedCount > 0 && (
+            <span className="estimated-count">
+              ({estimatedCount} with estimated {co2Label})
+            </span>
+          )}
         </div>
         
         {/* sort options */}
@@ -40,8 +90,10 @@ const FlightList = ({
             className="sort-select"
           >
             {/* co2 sort by options */}
-            <option value="co2_lowest">CO₂ (Lowest first)</option>
-            <option value="co2_highest">CO₂ (Highest first)</option>
+            <option value="co2_lowest">{co2Label} (Lowest first)</option>
+            <option value="co2_highest">{co2Label} (Highest first)</option>
+            <option value="co2_intensity_lowest">{co2Label} per km (Lowest first)</option>
+            <option value="co2_intensity_highest">{co2Label} per km (Highest first)</option>
             
             {/* price sort by options */}
             <option value="price_lowest">Price (Lowest first)</option>
@@ -53,30 +105,35 @@ const FlightList = ({
           </select>
         </div>
       </div>
+
+      {/* airport pairs searched, with the num of flights found for each */}
+      {hasSeveralAirports && (
+        <div className="airport-pairs">
+          <span className="airport-pairs-label">Airports searched:</span>
+          {airportPairs.map(pair => (
+            <span key={`${pair.locationDeparture}-${pair.locationArrival}`} className={`airport-pair-chip ${pair.offerCount === 0 ? 'empty' : ''}`}>
+              {pair.locationDeparture} → {pair.locationArrival} ({pair.error ? 'failed' : pair.offerCount})
+            </span>
+          ))}
+        </div>
+      )}
       
-      {/* flight list */}
+      {/* flight list, followed by the flights still waiting for their CO2 while the search streams */}
       <ul>
-        {flights.map((flight) => {
-          // generate unique key for each flight item
-          const flightKey = `${flight.id}-${flight.itineraries[0].segments[0].departure.at}`;
-          
-          return (
-            <FlightItem
-              key={flightKey}
-              flight={flight}
-              searchedCabinClass={searchedCabinClass}
-              // highlight if hovered in charts
-              isHighlighted={hoveredFlightIds.includes(flightKey)} 
-              // highlight if selected from chart
-              isSelected={selectedFlightId === flightKey} 
-              // sync hover with charts
-              onMouseEnter={handleFlightCardEnter} 
-              // clear hover state
-              onMouseLeave={handleFlightCardLeave} 
-            />
-          );
-        })}
+        {[...flights, ...pendingFlights].map(renderFlightItem)}
       </ul>
+
+      {/* flights whose price could not be converted, outside the price filter, sorting and chart */}
+      {unconvertedFlights.length > 0 && (
+        <div className="unconverted-flights">
+          <p className="unconverted-notice">
+            {unconvertedFlights.length} {unconvertedFlights.length === 1 ? 'flight is' : 'flights are'} priced in a currency without an exchange rate to {currency}, so {unconvertedFlights.length === 1 ? 'it is' : 'they are'} listed here, in the airline's currency and without price filtering or sorting.
+          </p>
+          <ul>
+            {unconvertedFlights.map(renderFlightItem)}
+          </ul>
+        </div>
+      )}
     </div>
   );
 };
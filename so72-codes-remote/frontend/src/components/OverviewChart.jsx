@@ -2,11 +2,12 @@
 
 import React, { useState, useMemo, useEffect, useRef } from 'react';
 import * as d3 from 'd3';
-import { getCO2EmissionForClass, getPriceForClass, getFlightDuration, getFlightKey } from '../utils/helpers';
+import { getCO2EmissionForClass, getCO2IntensityForClass, getPriceForClass, getFlightDuration, getFlightKey, getFlightAirlines, formatPrice } from '../utils/helpers';
 
-const CorrelationChart = ({ flights, cabinClass, hoveredFlightIds, onDotClick, onHover, onLeave }) => {
+// priceScope - what the prices cover, e.g. 'total for 2 adults'
+const CorrelationChart = ({ flights, cabinClass, co2Label = 'CO₂', currency = 'EUR', priceScope = '', hoveredFlightIds, onDotClick, onHover, onLeave }) => {
   // states for overview chart 
-  // for switching between price and duration correlation
+  // for switching between price, duration and CO2 per passenger-km (intensity) correlation
   const [correlationType, setCorrelationType] = useState('price');
   // to track which flight group was last clicked 
   const [groupClickIndex, setGroupClickIndex] = useState({});
@@ -27,10 +28,12 @@ const CorrelationChart = ({ flights, cabinClass, hoveredFlightIds, onDotClick, o
   };
 
   // prepare data for overview chart 
+  // intensity is NaN for flights whose distance is unknown
   const data = useMemo(() => flights.map(f => ({
     co2: parseFloat(getCO2EmissionForClass(f, cabinClass)),
     price: getPriceForClass(f, cabinClass),
     duration: getFlightDuration(f),
+    intensity: getCO2IntensityForClass(f, cabinClass) ?? NaN,
     flight: f,
     id: getFlightKey(f),
     flightNumbers: (() => {
@@ -42,7 +45,7 @@ const CorrelationChart = ({ flights, cabinClass, hoveredFlightIds, onDotClick, o
         ? `{${journeyStrings.join(', ')}}`
         : journeyStrings[0];
     })()
-  })).filter(d => !isNaN(d.co2) && !isNaN(d.price) && !isNaN(d.duration)), [flights, cabinClass]);
+  })).filter(d => !isNaN(d.co2) && !isNaN(d.price) && !isNaN(d.duration) && (correlationType !== 'intensity' || !isNaN(d.intensity))), [flights, cabinClass, correlationType]);
 
   // group flights by same price/duration and CO2 
   const groupedData = useMemo(() => {
@@ -60,6 +63,7 @@ const CorrelationChart = ({ flights, cabinClass, hoveredFlightIds, onDotClick, o
           co2: yValue,
           price: correlationType === 'price' ? xValue : d.price,
           duration: correlationType === 'duration' ? xValue : d.duration,
+          intensity: correlationType === 'intensity' ? xValue : d.intensity,
           flights: [],
           ids: [],
           flightNumbers: [],
@@ -124,6 +128,13 @@ const CorrelationChart = ({ flights, cabinClass, hoveredFlightIds, onDotClick, o
   }, [data, correlationType, margin, width, height]);
 
   
+  // x-axis label and tick format of each correlation type
+  const correlationAxes = {
+    price: { title: 'Price', label: priceScope ? `Price (${currency}, ${priceScope})` : `Price (${currency})`, format: d => formatPrice(d, currency, 0) },
+    duration: { title: 'Duration', label: 'Duration (hours)', format: formatDurationForAxis },
+    intensity: { title: `${co2Label} per km`, label: `${co2Label} per passenger-km (g)`, format: d => `${d}g` }
+  };
+
   // draw the axes for overview chart  
   // draw x-axis
   const XAxis = ({ scale }) => { 
@@ -132,8 +143,8 @@ const CorrelationChart = ({ flights, cabinClass, hoveredFlightIds, onDotClick, o
       if (scale) d3.select(ref.current)
         // draw the bottom axis
       .call(d3.axisBottom(scale)
-    // with format based on either price or duration
-      .tickFormat(d => correlationType === 'price' ? `€${d}` : formatDurationForAxis(d))); 
+    // with format based on price, duration or intensity
+      .tickFormat(correlationAxes[correlationType].format)); 
     }, [scale]); 
     return <g ref={ref} transform={`translate(0, ${height - margin.bottom})`} />; };
   // draw y-axis
@@ -154,8 +165,8 @@ const CorrelationChart = ({ flights, cabinClass, hoveredFlightIds, onDotClick, o
   return (
     <div className="correlation-chart-container">
       <div className="chart-header">
-        {/* co2 emission vs price or duration. depending on what user picks */}
-        <h4>CO₂ Emissions vs {correlationType.charAt(0).toUpperCase() + correlationType.slice(1)}</h4>
+        {/* co2 emission vs price, duration or CO2 per km, depending on what user picks */}
+        <h4>{co2Label} Emissions vs {correlationAxes[correlationType].title}</h4>
         {/* correlation controls with clustering toggle */}
         <div className="correlation-controls" style={{ display: 'flex', alignItems: 'center', gap: '20px' }}>
           <div>
@@ -163,6 +174,7 @@ const CorrelationChart = ({ flights, cabinClass, hoveredFlightIds, onDotClick, o
             <select value={correlationType} onChange={(e) => setCorrelationType(e.target.value)} className="correlation-select">
               <option value="price">Price</option>
               <option value="duration">Duration</option>
+              <option value="intensity">{co2Label} per km</option>
             </select>
           </div>
           {/* checkbox toggle for co2 clustring */}
@@ -180,7 +192,7 @@ const CorrelationChart = ({ flights, cabinClass, hoveredFlightIds, onDotClick, o
               }}
             />
             <label htmlFor="clustering-toggle" style={{ fontSize: '0.85rem', cursor: 'pointer' }}>
-              Show CO₂ clustering
+              Show {co2Label} clustering
             </label>
           </div>
         </div>
@@ -320,6 +332,8 @@ const CorrelationChart = ({ flights, cabinClass, hoveredFlightIds, onDotClick, o
 
         {groupedData.map((d, i) => {
           const isHovered = hoveredFlightIds && d.ids.some(id => hoveredFlightIds.includes(id));
+          // dots with estimated CO2 are hollow, so they stand apart from Google's data
+          const isEstimated = d.flights.some(f => f.emissionsEstimated);
           const co2Zone = getCO2Zone(d.co2);
 
           // filter dots based on selected zone 
@@ -332,13 +346,18 @@ const CorrelationChart = ({ flights, cabinClass, hoveredFlightIds, onDotClick, o
               const tooltipData = {
                 ids: d.ids,
                 price: d.price,
+                currency: d.flights[0].price?.currency || currency,
                 duration: d.duration,
+                intensity: d.intensity,
                 co2: d.co2,
                 co2Values: [d.co2],
                 flightNumbers: d.flightNumbers.join(', '),
+                // names of the airlines of all flights at this dot
+                airlines: [...new Set(d.flights.flatMap(f => getFlightAirlines(f).map(airline => airline.name)))].join(', '),
                 count: d.count,
                 // include CO2 zone information in tooltip
-                zone: co2Zone 
+                zone: co2Zone,
+                estimated: isEstimated
               };
               onHover(event, tooltipData);
             }
@@ -374,10 +393,11 @@ const CorrelationChart = ({ flights, cabinClass, hoveredFlightIds, onDotClick, o
                 cy={yScale(d.co2)}
                 // size based on number of flights at this coordinate
                 r={sizeScale(d.count)}
-                fill="#3b82f6"
+                fill={isEstimated ? '#dbeafe' : '#3b82f6'}
                 opacity={isHovered ? 1 : (selectedZone ? 0.9 : 0.7)}
-                stroke={isHovered ? '#333' : '#fff'}
-                strokeWidth={isHovered ? 2 : 1}
+                stroke={isHovered ? '#333' : (isEstimated ? '#3b82f6' : '#fff')}
+                strokeWidth={isHovered || isEstimated ? 2 : 1}
+                strokeDasharray={isEstimated && !isHovered ? '3,2' : undefined}
                 onClick={handleClick}
                 onMouseOver={handleHover}
                 onMouseOut={onLeave}
@@ -391,9 +411,9 @@ const CorrelationChart = ({ flights, cabinClass, hoveredFlightIds, onDotClick, o
         {/* render vertical axis */}
         <YAxis scale={yScale} />
         {/* label for horizontal axis */}
-        <text transform={`translate(${width / 2}, ${height - 10})`} style={{ textAnchor: 'middle', fontSize: '12px', fontWeight: '600' }}>{correlationType === 'price' ? 'Price (EUR)' : 'Duration (hours)'}</text>
+        <text transform={`translate(${width / 2}, ${height - 10})`} style={{ textAnchor: 'middle', fontSize: '12px', fontWeight: '600' }}>{correlationAxes[correlationType].label}</text>
         {/* label for vertical axis */}
-        <text transform="rotate(-90)" y={20} x={0 - (height / 2)} dy="1em" style={{ textAnchor: 'middle', fontSize: '12px', fontWeight: '600' }}>CO₂ Emission (kg)</text>
+        <text transform="rotate(-90)" y={20} x={0 - (height / 2)} dy="1em" style={{ textAnchor: 'middle', fontSize: '12px', fontWeight: '600' }}>{co2Label} Emission (kg)</text>
       </svg>
     </div>
   );
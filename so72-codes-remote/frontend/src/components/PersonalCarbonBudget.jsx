@@ -1,7 +1,7 @@
 // PersonalCarbonBudget component - displays how a flight impacts the user's annual personal carbon budget
 import React from 'react';
 
-const PersonalCarbonBudget = ({ co2_min, co2_max, hoveredFlight, cabinClass, isTypical = false, route = '' }) => {
+const PersonalCarbonBudget = ({ co2_min, co2_max, hoveredFlight, cabinClass, isTypical = false, route = '', co2Label = 'CO₂' }) => {
   // annual carbon budget per person
   const annualBudgetKg = 2300; 
   // use average if range provided, otherwise use single value
@@ -35,7 +35,7 @@ const PersonalCarbonBudget = ({ co2_min, co2_max, hoveredFlight, cabinClass, isT
           <div className="budget-details">
             <div className="budget-line">
               <span className="label">Annual target:</span>
-              <span className="value">2.3 tonnes CO₂
+              <span className="value">2.3 tonnes {co2Label}
                 <a 
                   href="https://www.bbc.co.uk/future/article/20230504-the-people-living-ultra-low-carbon-lifestyles"
                   target="_blank"
@@ -54,7 +54,7 @@ const PersonalCarbonBudget = ({ co2_min, co2_max, hoveredFlight, cabinClass, isT
                 {co2_max ? 
                   `${co2_min.toFixed(0)}-${co2_max.toFixed(0)} kg` : 
                   `${co2_min.toFixed(0)} kg`
-                } CO₂
+                } {co2Label}
               </span>
             </div>
             <div className="budget-line remaining">
@@ -4,6 +4,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import FlightSearchForm from '../components/FlightSearchForm';
 import SearchHistory from '../components/SearchHistory';
+import { getSearchRoute } from '../utils/helpers';
 import './HomePage.css';
 
 const HomePage = () => {
@@ -26,8 +27,7 @@ const HomePage = () => {
     const newHistory = [
       searchData, 
       ...history.filter(h => 
-        h.locationDeparture !== searchData.locationDeparture || 
-        h.locationArrival !== searchData.locationArrival
+        getSearchRoute(h).join() !== getSearchRoute(searchData).join()
       )
       // limit to only 5 most recent searches
     ].slice(0, 5);
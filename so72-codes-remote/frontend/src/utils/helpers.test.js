@@ -0,0 +1,41 @@
+// tests of the flight data helpers
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getCO2EmissionForClass, getCO2IntensityForClass, applyCurrency, isPricedIn } from './helpers.js';
+
+// emissions of a flight as the backend sends them, keyed by cabin class
+const flight = {
+  emissionsGramsPerPax: { economy: 98412, premiumEconomy: 157459, business: 295236, first: 393648 },
+  emissionsGramsPerPaxKm: { economy: 86.2, premiumEconomy: 138, business: 258.7, first: 345 }
+};
+
+test('reads the emissions of every cabin class, premium economy included', () => {
+  assert.equal(getCO2EmissionForClass(flight, 'ECONOMY'), '98.4');
+  assert.equal(getCO2EmissionForClass(flight, 'PREMIUM_ECONOMY'), '157.5');
+  assert.equal(getCO2EmissionForClass(flight, 'FIRST'), '393.6');
+});
+
+test('reads the CO2 intensity of every cabin class, premium economy included', () => {
+  assert.equal(getCO2IntensityForClass(flight, 'PREMIUM_ECONOMY'), 138);
+  assert.equal(getCO2IntensityForClass(flight, 'BUSINESS'), 258.7);
+  assert.equal(getCO2IntensityForClass({ emissionsGramsPerPaxKm: { premiumEconomy: 80 } }, 'PREMIUM_ECONOMY'), 80);
+});
+
+test('returns null without emissions for the cabin class', () => {
+  assert.equal(getCO2EmissionForClass({ emissionsGramsPerPax: { economy: 98412 } }, 'PREMIUM_ECONOMY'), null);
+  assert.equal(getCO2IntensityForClass({}, 'ECONOMY'), null);
+});
+
+test('keeps flights in a currency missing from the rates table apart from the converted ones', () => {
+  const exchangeRates = { base: 'EUR', rates: { EUR: 1, NOK: 11.5 } };
+  const [converted, unconverted] = applyCurrency([
+    { price: { total: '1150.00', currency: 'NOK' } },
+    { price: { total: '500.00', currency: 'XYZ' } }
+  ], 'EUR', exchangeRates);
+
+  assert.deepEqual(converted.price, { total: '100.00', currency: 'EUR' });
+  assert.equal(isPricedIn(converted, 'EUR'), true);
+  assert.deepEqual(unconverted.price, { total: '500.00', currency: 'XYZ' });
+  assert.equal(isPricedIn(unconverted, 'EUR'), false);
+});